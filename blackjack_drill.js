@@ -0,0 +1,53 @@
+// =============================================================
+// Flashcard drills: a two-card hand and a dealer upcard, graded on the
+// first decision only. No shoe, no dealer play, no settlement.
+// =============================================================
+import { DEFAULT_RULES, RANKS, SUITS, classifyInitialHand, isBlackjack, isPair, isTenValueRank, rulesAllowDouble } from "./blackjack_engine.js";
+
+export const DRILL_TYPES = ["hard", "soft", "pairs"];
+
+let drillCardId = 0;
+const drillCard = (r, rand) => ({ r, s: SUITS[Math.floor(rand() * SUITS.length)], id: `drill-${drillCardId++}` });
+const randomRank = (rand) => RANKS[Math.floor(rand() * RANKS.length)];
+// A card of a given value (11 = Ace); tens pick any ten-value rank
+const rankForValue = (v, rand) => (v === 11 ? "A" : v === 10 ? ["10", "J", "Q", "K"][Math.floor(rand() * 4)] : String(v));
+
+// Deal from an endless deck until the hand matches the allowed types (naturals are no decision, so never).
+// start ({player, up} card values, e.g. from the spaced-repetition schedule) builds a chosen hand instead.
+export function drawDrillHand(allowedTypes, rand, start = null) {
+  if (start) {
+    return { cards: start.player.map((v) => drillCard(rankForValue(v, rand), rand)), up: drillCard(rankForValue(start.up, rand), rand) };
+  }
+  let cards;
+  do cards = [drillCard(randomRank(rand), rand), drillCard(randomRank(rand), rand)];
+  while (isBlackjack(cards) || !allowedTypes[classifyInitialHand(cards)]);
+  return { cards, up: drillCard(randomRank(rand), rand) };
+}
+
+// What's on offer for a first decision under the rules (ten-value pairs aren't split here, as at the table)
+export function drillActions(cards, rules = DEFAULT_RULES) {
+  const tenPair = isTenValueRank(cards[0].r) && isTenValueRank(cards[1].r);
+  return {
+    HIT: true,
+    STAND: true,
+    DOUBLE: rulesAllowDouble({ cards }, rules),
+    SPLIT: isPair(cards) && !tenPair,
+    SURRENDER: rules.surrender !== "none",
+  };
+}
+
+export const emptyDrillStats = () => ({
+  streak: 0,
+  best: 0,
+  byType: Object.fromEntries(DRILL_TYPES.map((t) => [t, { seen: 0, correct: 0 }])),
+});
+
+export function scoreDrill(stats, type, ok) {
+  const streak = ok ? stats.streak + 1 : 0;
+  const cat = stats.byType[type];
+  return {
+    streak,
+    best: Math.max(stats.best, streak),
+    byType: { ...stats.byType, [type]: { seen: cat.seen + 1, correct: cat.correct + (ok ? 1 : 0) } },
+  };
+}
@@ -0,0 +1,605 @@
+// =============================================================
+// Blackjack engine - cards, table rules, counting and settlement,
+// plus the round itself as pure state transitions.
+// No timers, no DOM: the trainer view adds the pacing and the animations.
+// =============================================================
+
+// --------------------------- Utilities ---------------------------
+export const SUITS = ["♠", "♥", "♦", "♣"];
+export const RANKS = ["A", "2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K"];
+
+export const rankValue = (r) => (r === "A" ? 11 : ["K", "Q", "J", "10"].includes(r) ? 10 : parseInt(r, 10));
+export const isTenValueRank = (r) => ["10", "J", "Q", "K"].includes(r);
+
+export const clone = (x) => JSON.parse(JSON.stringify(x));
+
+// Seedable PRNG (mulberry32): the same seed always gives the same sequence.
+// rand.state() is where the sequence got to; mulberry32(rand.state()) carries on from there.
+export function mulberry32(seed) {
+  let t = seed >>> 0;
+  const rand = () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let x = Math.imul(t ^ (t >>> 15), 1 | t);
+    x = (x + Math.imul(x ^ (x >>> 7), 61 | x)) ^ x;
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+  rand.state = () => t;
+  return rand;
+}
+
+export const randomSeed = () => Math.floor(Math.random() * 4294967296);
+
+// Numeric seeds are used as-is; any other text is hashed (FNV-1a) so seeds can be words
+export function parseSeed(text) {
+  const str = String(text).trim();
+  if (!str) return null;
+  if (/^\d+$/.test(str)) return Number(str) % 4294967296;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) h = Math.imul(h ^ str.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
+export function shuffle(array, rand = Math.random) {
+  const a = array.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+export function makeShoe(decks = 6, rand = Math.random) {
+  const cards = [];
+  for (let d = 0; d < decks; d++) {
+    for (const s of SUITS) {
+      for (const r of RANKS) {
+        cards.push({ r, s, id: `${r}${s}-${d}-${rand().toString(36).slice(2, 6)}` });
+      }
+    }
+  }
+  return shuffle(cards, rand);
+}
+
+export function handTotal(cards) {
+  let total = 0;
+  let aces = 0;
+  for (const c of cards) {
+    if (c.r === "A") { aces++; total += 11; }
+    else total += rankValue(c.r);
+  }
+  while (total > 21 && aces > 0) { total -= 10; aces--; }
+  // soft if at least one ace can be 11 after adjustment
+  let baseAsOne = 0, aceCount = 0;
+  for (const c of cards) { if (c.r === "A") { aceCount++; baseAsOne += 1; } else baseAsOne += rankValue(c.r); }
+  const soft = aceCount > 0 && baseAsOne + 10 <= 21;
+  return { total, soft };
+}
+
+export const isBlackjack = (cards) => cards.length === 2 && handTotal(cards).total === 21;
+export const isPair = (cards) => cards.length === 2 && ((isTenValueRank(cards[0].r) && isTenValueRank(cards[1].r)) || cards[0].r === cards[1].r);
+const isTenPair = (cards) => cards.length === 2 && isTenValueRank(cards[0].r) && isTenValueRank(cards[1].r);
+
+// Classify initial two-card player hand for training filters
+export function classifyInitialHand(cards) {
+  if (cards.length !== 2) return "unknown";
+  // For splits training: only treat exact equal-value pairs as "pairs",
+  // but EXCLUDE all value-10 combos (10/J/Q/K in any combination).
+  const v1 = rankValue(cards[0].r);
+  const v2 = rankValue(cards[1].r);
+  if (v1 === v2) {
+    if (v1 === 10) return "hard"; // exclude ALL 10-value pairs (10/J/Q/K, mixed or same)
+    return "pairs";
+  }
+  const { soft } = handTotal(cards);
+  return soft ? "soft" : "hard";
+}
+
+// --------------------------- Table Rules ---------------------------
+export const DEFAULT_RULES = {
+  decks: 6,          // 1–8 decks in the shoe
+  penetration: 0.75, // share of the shoe dealt before the cut card comes out
+  hitSoft17: false,  // true = H17, false = S17
+  das: true,         // double after split
+  doubleOn: "any",   // "any" two cards | "9-11" hard 9–11 only
+  bjPayout: "3:2",   // "3:2" | "6:5" | "1:1"
+  surrender: "none", // "none" | "late" (after peek) | "early" (before peek)
+  holeCard: "peek",  // "peek" (US hole card) | "enhc" (European no hole card)
+  enhcLoss: "all",   // ENHC vs dealer blackjack: "all" bets lost | "obo" original bet only
+  maxHands: 4,       // split / re-split up to 2, 3 or 4 hands
+  resplitAces: false,
+  hitSplitAces: false,
+};
+export const BJ_PAYOUTS = { "3:2": 1.5, "6:5": 1.2, "1:1": 1 };
+
+// Total returned for a winning blackjack (stake + payout, rounded down)
+export const blackjackReturn = (bet, rules = DEFAULT_RULES) => bet + Math.floor(bet * BJ_PAYOUTS[rules.bjPayout]);
+
+// Dealer draws to 17; under H17 also hits soft 17
+export function dealerShouldHit(cards, rules = DEFAULT_RULES) {
+  const { total, soft } = handTotal(cards);
+  return total < 17 || (total === 17 && soft && rules.hitSoft17);
+}
+
+// Whether the table rules allow doubling this two-card hand
+export function rulesAllowDouble(hand, rules = DEFAULT_RULES) {
+  if (hand.split && !rules.das) return false;
+  if (rules.doubleOn === "9-11") {
+    const { total } = handTotal(hand.cards);
+    return total >= 9 && total <= 11;
+  }
+  return true;
+}
+
+// Whether the table rules allow splitting this hand with handCount hands already in play
+export function rulesAllowSplit(hand, handCount, rules = DEFAULT_RULES) {
+  if (!isPair(hand.cards)) return false;
+  if (handCount >= rules.maxHands) return false;
+  if (hand.splitAces && !rules.resplitAces) return false;
+  return true;
+}
+
+// A freshly split Ace is finished unless it may be hit or re-split
+export function splitAceLocked(hand, handCount, rules = DEFAULT_RULES) {
+  if (!hand.splitAces || rules.hitSplitAces) return false;
+  return !rulesAllowSplit(hand, handCount, rules);
+}
+
+// Cut card: once it comes out the round is finished and the shoe is reshuffled before the next deal
+export const PENETRATIONS = [0.65, 0.7, 0.75, 0.8, 0.85];
+export const cutCardRemaining = (rules = DEFAULT_RULES) => Math.round(rules.decks * 52 * (1 - rules.penetration));
+export const cutCardReached = (cardsRemaining, rules = DEFAULT_RULES) => cardsRemaining <= cutCardRemaining(rules);
+// Share of the shoe already dealt (0–1)
+export const shoeDealt = (cardsRemaining, rules = DEFAULT_RULES) => 1 - cardsRemaining / (rules.decks * 52);
+
+// ENHC "original bets only": doubles and split bets come back when the dealer has blackjack
+export function oboRefund(hands, originalBet, dealerCards, rules = DEFAULT_RULES) {
+  if (rules.holeCard !== "enhc" || rules.enhcLoss !== "obo" || !isBlackjack(dealerCards)) return 0;
+  const staked = hands.reduce((a, h) => a + h.bet, 0);
+  return Math.max(0, staked - originalBet);
+}
+
+// A surrendered hand gets half its bet back (rounded down)
+export const surrenderReturn = (bet) => Math.floor(bet / 2);
+
+export const rulesLabel = (rules = DEFAULT_RULES) =>
+  `${rules.hitSoft17 ? "H17" : "S17"} • ${rules.das ? "DAS" : "No DAS"} • ${rules.bjPayout} BJ • ${rules.decks} ${rules.decks === 1 ? "Deck" : "Decks"}` +
+  (rules.surrender === "late" ? " • LS" : rules.surrender === "early" ? " • ES" : "") +
+  (rules.holeCard === "enhc" ? ` • ENHC${rules.enhcLoss === "obo" ? " OBO" : ""}` : "") +
+  (rules.resplitAces ? " • RSA" : "");
+
+// --------------------------- Card Counting ---------------------------
+// Hi-Lo: 2–6 count +1, 7–9 count 0, tens and Aces count -1
+export const hiLoValue = (card) => { const v = rankValue(card.r); return v <= 6 ? 1 : v >= 10 ? -1 : 0; };
+
+// Running count per deck left in the shoe (floored at half a deck)
+export const trueCount = (runningCount, cardsRemaining) => runningCount / Math.max(cardsRemaining / 52, 0.5);
+
+// Count-check quiz: "every" N hands, or "random" with a 1-in-N chance per hand
+export const DEFAULT_QUIZ = { mode: "off", every: 5, rcTolerance: 0, tcTolerance: 0.5 };
+
+export function countQuizDue(handsSinceQuiz, quiz = DEFAULT_QUIZ, rand = Math.random()) {
+  if (quiz.mode === "off" || handsSinceQuiz < 1) return false;
+  if (quiz.mode === "every") return handsSinceQuiz >= quiz.every;
+  return rand < 1 / Math.max(1, quiz.every);
+}
+
+export function scoreCountQuiz(guess, actual, quiz = DEFAULT_QUIZ) {
+  return {
+    rcOk: Math.abs(guess.rc - actual.rc) <= quiz.rcTolerance,
+    tcOk: Math.abs(guess.tc - actual.tc) <= quiz.tcTolerance,
+  };
+}
+
+export const formatCount = (n) => `${n > 0 ? "+" : ""}${Number.isInteger(n) ? n : n.toFixed(1)}`;
+
+// --------------------------- Settlement ---------------------------
+// Offered when the dealer shows an Ace. Costs half the bet, pays 2:1 on a dealer blackjack.
+export const insuranceCost = (bet) => Math.floor(bet / 2);
+export const insuranceReturn = (amount, dealerCards) => (amount > 0 && isBlackjack(dealerCards) ? amount * 3 : 0);
+
+// Amount returned for one hand (stake included), with an outcome tag and a line for the table
+export function settleHand(hand, dealerCards, rules = DEFAULT_RULES) {
+  const pt = handTotal(hand.cards).total; const dt = handTotal(dealerCards).total;
+  // A,10 on a split hand is 21, not a blackjack
+  const playerBJ = !hand.split && isBlackjack(hand.cards); const dealerBJ = isBlackjack(dealerCards);
+  const result = (delta, outcome, text) => ({ delta, outcome, playerTotal: pt, dealerTotal: dt, text });
+  const vs = `(You: ${pt}, Dealer: ${dt})`;
+
+  if (hand.evenMoney) return result(hand.bet * 2, "even_money", `Even money. ${vs} +$${hand.bet}`);
+  // Late surrender without a hole card comes before the dealer's second card: a dealer blackjack still takes the bet
+  const surrenderLost = dealerBJ && rules.holeCard === "enhc" && rules.surrender === "late";
+  if (hand.surrendered && !surrenderLost) {
+    const back = surrenderReturn(hand.bet);
+    return result(back, "surrender", `Surrendered. ${vs} -$${hand.bet - back}`);
+  }
+
+  // Blackjack resolution
+  if (playerBJ && !dealerBJ) {
+    const totalReturn = blackjackReturn(hand.bet, rules);
+    return result(totalReturn, "blackjack", `Blackjack! ${vs} +$${totalReturn - hand.bet}`);
+  }
+  if (playerBJ && dealerBJ) return result(hand.bet, "push", `Push on Blackjack. ${vs}`);
+  // Reachable under ENHC, where a dealer blackjack is only found after the players act
+  if (dealerBJ) return result(0, "lose", `Dealer blackjack. ${vs} -$${hand.bet}`);
+
+  // Busts
+  if (pt > 21) return result(0, "bust", `Busted. ${vs} -$${hand.bet}`);
+  if (dt > 21) return result(hand.bet * 2, "dealer_bust", `Dealer busts! ${vs} +$${hand.bet}`);
+
+  // Compare
+  if (pt > dt) return result(hand.bet * 2, "win", `You win! ${vs} +$${hand.bet}`);
+  if (pt < dt) return result(0, "lose", `You lose. ${vs} -$${hand.bet}`);
+  return result(hand.bet, "push", `Push. ${vs}`);
+}
+
+// ------------------------------ Game State ------------------------------
+// A round runs betting → dealing → (insurance) → player → dealer → settling → settle.
+// Every action takes a state and returns the next one without touching the old one.
+// dealing, dealer and settling need no decision: step() moves them on, so the view
+// can pause between them for the animations and a test can just call it in a loop.
+export const STARTING_BANKROLL = 1000;
+export const ALL_HAND_TYPES = { hard: true, soft: true, pairs: true };
+export const AUTO_PHASES = ["dealing", "dealer", "settling"];
+
+const noCards = () => Array(12).fill(0);
+
+export function createGame({ rules = DEFAULT_RULES, seed = randomSeed(), bankroll = STARTING_BANKROLL } = {}) {
+  const rand = mulberry32(seed);
+  const shoe = makeShoe(rules.decks, rand);
+  return {
+    rules,
+    seed,
+    rng: rand.state(),
+    shoe,            // shuffled shoe; cards are dealt from the front
+    dealt: 0,        // cards dealt so far
+    drawn: [],       // cards of the current round in the order they were drawn (burns left out)
+    runningCount: 0, // Hi-Lo count of the cards seen since the shuffle
+    seen: noCards(), // cards seen since the shuffle, counted by value (index 2–11, 11 = Aces)
+    bankroll,
+    phase: "betting",
+    round: 0,
+    dealer: { cards: [], hideHole: true, peekPending: false },
+    hands: [],       // [{seat, splitFrom, cards, bet, done, doubled, split, splitAces, surrendered, evenMoney}]
+    active: 0,
+    roundBet: 0,     // original bet of the current round
+    insurance: 0,    // insurance bet of the current round
+    message: "",
+    result: null,    // last settled round: {playerHands, dealerCards, results, insurance, bet, totalBet, totalReturn, net, drawn, rules}
+  };
+}
+
+export const cardsLeft = (state) => state.shoe.length - state.dealt;
+// Money on the table in a round not yet settled: every hand's bet plus insurance
+export const stakeInPlay = (state) =>
+  (state.phase === "betting" || state.phase === "settle" ? 0 : state.hands.reduce((a, h) => a + h.bet, 0) + state.insurance);
+export const currentTrueCount = (state) => trueCount(state.runningCount, cardsLeft(state));
+export const needsShuffle = (state) => cutCardReached(cardsLeft(state), state.rules);
+
+// Cards the player hasn't seen, by value (index 2–11): the undealt shoe plus the hole card and any burns
+export function shoeComposition(state) {
+  const comp = noCards();
+  for (let v = 2; v <= 11; v++) comp[v] = state.rules.decks * (v === 10 ? 16 : 4) - state.seen[v];
+  return comp;
+}
+
+// Copy of the parts of the state an action may change
+const draft = (state) => ({ ...state, drawn: state.drawn.slice(), dealer: { ...state.dealer, cards: state.dealer.cards.slice() }, hands: state.hands.map((h) => ({ ...h, cards: h.cards.slice() })) });
+
+const freshShoe = (g) => {
+  const rand = mulberry32(g.rng);
+  g.shoe = makeShoe(g.rules.decks, rand);
+  g.rng = rand.state();
+  g.dealt = 0;
+  g.runningCount = 0;
+  g.seen = noCards();
+};
+
+const see = (g, ...cards) => {
+  g.seen = g.seen.slice();
+  for (const c of cards) { g.runningCount += hiLoValue(c); g.seen[rankValue(c.r)] += 1; }
+};
+
+// Face-down and burned cards pass seen = false and are counted when (if) they are shown.
+// An empty shoe is only rebuilt as a last resort; the cut card normally comes first.
+const drawCard = (g, seen = true) => {
+  if (g.dealt >= g.shoe.length) freshShoe(g);
+  const c = g.shoe[g.dealt++];
+  g.drawn.push(c);
+  if (seen) see(g, c);
+  return c;
+};
+
+// Next number from the game's RNG, for anything else the session should replay (e.g. random quizzes)
+export function nextRandom(state) {
+  const rand = mulberry32(state.rng);
+  const value = rand();
+  return { value, state: { ...state, rng: rand.state() } };
+}
+
+export function shuffleShoe(state) {
+  const g = { ...state };
+  freshShoe(g);
+  return g;
+}
+
+// Rules change only between rounds
+export const canChangeRules = (state) => state.phase === "betting" || state.phase === "settle";
+
+// A new deck count means a fresh shoe
+export function setRules(state, rules) {
+  if (!canChangeRules(state)) return state;
+  const g = { ...state, rules };
+  if (rules.decks !== state.rules.decks) freshShoe(g);
+  return g;
+}
+
+export function clearTable(state) {
+  return { ...state, phase: "betting", dealer: { cards: [], hideHole: true, peekPending: false }, hands: [], active: 0, insurance: 0, message: "" };
+}
+
+export const canDeal = (state, bet, allowedTypes = ALL_HAND_TYPES) =>
+  bet > 0 && bet <= state.bankroll && (allowedTypes.hard || allowedTypes.soft || allowedTypes.pairs);
+
+// Move cards of the wanted values (player, player, dealer upcard) to the front of the undealt shoe.
+// Leaves the shoe alone and returns false if it has run out of one of them.
+const stackStart = (g, { player, up }) => {
+  const shoe = g.shoe.slice();
+  let pos = g.dealt;
+  for (const v of [...player, up]) {
+    const j = shoe.findIndex((c, i) => i >= pos && rankValue(c.r) === v);
+    if (j < 0) return false;
+    [shoe[pos], shoe[j]] = [shoe[j], shoe[pos]];
+    pos += 1;
+  }
+  g.shoe = shoe;
+  return true;
+};
+
+// start: optional {player: [value, value], up: value} (11 = Ace) to build a chosen starting hand from the shoe
+export function deal(state, bet, allowedTypes = ALL_HAND_TYPES, start = null) {
+  if (!canDeal(state, bet, allowedTypes)) return state;
+  const g = draft(clearTable(state));
+  g.round += 1;
+  g.result = null;
+
+  let p1 = null;
+  if (start && stackStart(g, start)) p1 = [drawCard(g, false), drawCard(g, false)];
+  // Otherwise deal until the player's initial two-card hand matches one of the allowed types
+  for (let tries = 0; !p1 && tries < 600; tries++) {
+    const candidate = [drawCard(g, false), drawCard(g, false)];
+    if (allowedTypes[classifyInitialHand(candidate)]) { p1 = candidate; break; }
+    // else burn these and continue
+  }
+  if (!p1) p1 = [drawCard(g, false), drawCard(g, false)];
+  see(g, ...p1);
+  g.drawn = p1.slice();
+
+  // ENHC: the dealer takes only an upcard until the players have acted
+  g.dealer.cards = g.rules.holeCard === "enhc" ? [drawCard(g)] : [drawCard(g), drawCard(g, false)];
+  g.hands = [{ seat: 1, splitFrom: null, cards: p1, bet, done: false, doubled: false, splitAces: false }];
+  g.roundBet = bet;
+  g.bankroll -= bet;
+  g.phase = "dealing";
+  return g;
+}
+
+// Flip the hole card (ENHC: draw the second card), then the dealer plays or the round settles
+const revealDealer = (g, dealerPlays) => {
+  if (g.dealer.cards.length === 1) g.dealer.cards.push(drawCard(g));
+  else if (g.dealer.hideHole) see(g, g.dealer.cards[1]);
+  g.dealer.hideHole = false;
+  g.dealer.peekPending = false;
+  g.phase = dealerPlays ? "dealer" : "settling";
+};
+
+// Dealer peeks for blackjack, then the player acts
+const peekAndPlay = (g) => {
+  g.phase = "player";
+  const playerBJ = isBlackjack(g.hands[0].cards); const dealerBJ = isBlackjack(g.dealer.cards);
+  // No hole card to peek at; a player blackjack waits for the dealer's second card
+  if (g.rules.holeCard === "enhc") {
+    if (playerBJ) revealDealer(g, false);
+    return;
+  }
+  // Early surrender: the player decides before the dealer peeks. Pending whatever the hole card
+  // is, so nothing (not even the insurance result) shows until then
+  if (!playerBJ && g.rules.surrender === "early" && rankValue(g.dealer.cards[0].r) >= 10) { g.dealer.peekPending = true; return; }
+  if (playerBJ || dealerBJ) { revealDealer(g, false); return; }
+  if (g.insurance > 0) g.message = "Dealer does not have blackjack. Insurance lost.";
+};
+
+// Insurance / even money decision while the dealer shows an Ace
+export function insure(state, take) {
+  if (state.phase !== "insurance") return state;
+  const g = draft(state);
+  const hand = g.hands[0];
+  if (take && isBlackjack(hand.cards)) {
+    hand.evenMoney = true; hand.done = true;
+    revealDealer(g, false);
+    return g;
+  }
+  if (take) {
+    const amount = insuranceCost(hand.bet);
+    if (g.bankroll < amount) return state;
+    g.insurance = amount;
+    g.bankroll -= amount;
+  }
+  peekAndPlay(g);
+  return g;
+}
+
+// Move to the next unfinished hand, or hand over to the dealer
+const advanceHand = (g) => {
+  let idx = g.active; while (idx < g.hands.length && g.hands[idx].done) idx++;
+  if (idx < g.hands.length) { g.active = idx; return; }
+  revealDealer(g, true);
+};
+
+export const activeHand = (state) => (state.phase === "player" ? state.hands[state.active] || null : null);
+
+export function canHit(state, hand = activeHand(state)) {
+  if (!hand || hand.done) return false;
+  if (hand.splitAces && !state.rules.hitSplitAces) return false; // split Aces receive one card only
+  return handTotal(hand.cards).total < 21;
+}
+
+export function canDouble(state, hand = activeHand(state)) {
+  if (!hand || hand.splitAces) return false;
+  if (hand.cards.length !== 2 || hand.doubled || hand.done) return false; // first decision only
+  if (state.bankroll < hand.bet) return false;
+  return rulesAllowDouble(hand, state.rules); // DAS / 9–11 restrictions
+}
+
+export const canSplit = (state, hand = activeHand(state)) =>
+  !!hand && rulesAllowSplit(hand, state.hands.length, state.rules) && state.bankroll >= hand.bet;
+
+// Surrender only as the first decision on the original two cards
+export const canSurrender = (state, hand = activeHand(state)) =>
+  !!hand && state.rules.surrender !== "none" && state.hands.length === 1 && !hand.split && hand.cards.length === 2 && !hand.done;
+
+// What the strategy functions need to know about the hand's options. Ten-value pairs can't be
+// split here, so they are read as hard 20 (index plays that split tens never apply).
+export const decisionOptions = (state, hand = activeHand(state)) =>
+  ({ canDouble: canDouble(state, hand), canSplit: canSplit(state, hand) && !isTenPair(hand.cards), canSurrender: canSurrender(state, hand) });
+
+// Buttons on offer for the active hand; ten-value pairs are never split at this table
+export function availableActions(state) {
+  const hand = activeHand(state);
+  return {
+    HIT: canHit(state, hand),
+    STAND: !!hand,
+    DOUBLE: canDouble(state, hand),
+    SPLIT: canSplit(state, hand) && !isTenPair(hand.cards),
+    SURRENDER: canSurrender(state, hand),
+  };
+}
+
+// Early surrender declined: the dealer peeks now, and a blackjack ends the round
+const finishPeek = (g) => {
+  if (!g.dealer.peekPending) return false;
+  g.dealer.peekPending = false;
+  if (isBlackjack(g.dealer.cards)) { revealDealer(g, false); return true; }
+  if (g.insurance > 0) g.message = "Dealer does not have blackjack. Insurance lost.";
+  return false;
+};
+
+export function hit(state) {
+  if (!canHit(state)) return state;
+  const g = draft(state);
+  if (finishPeek(g)) return g;
+  const h = g.hands[g.active];
+  h.cards.push(drawCard(g));
+  if (handTotal(h.cards).total >= 21) { h.done = true; advanceHand(g); }
+  return g;
+}
+
+export function stand(state) {
+  if (!activeHand(state)) return state;
+  const g = draft(state);
+  if (finishPeek(g)) return g;
+  g.hands[g.active].done = true;
+  advanceHand(g);
+  return g;
+}
+
+export function double(state) {
+  if (!canDouble(state)) return state;
+  const g = draft(state);
+  if (finishPeek(g)) return g;
+  const h = g.hands[g.active];
+  g.bankroll -= h.bet;
+  h.bet *= 2; h.doubled = true; h.cards.push(drawCard(g)); h.done = true;
+  advanceHand(g);
+  return g;
+}
+
+export function split(state) {
+  if (!availableActions(state).SPLIT) return state;
+  const g = draft(state);
+  if (finishPeek(g)) return g;
+  const h = g.hands[g.active];
+  g.bankroll -= h.bet;
+  const [c1, c2] = h.cards;
+  // The left hand keeps its seat; the right one is a new seat split from it
+  const seat = Math.max(...g.hands.map((x) => x.seat)) + 1;
+  const h1 = { seat: h.seat, splitFrom: h.splitFrom, cards: [c1, drawCard(g)], bet: h.bet, done: false, doubled: false, split: true, splitAces: c1.r === "A" };
+  const h2 = { seat, splitFrom: h.seat, cards: [c2, drawCard(g)], bet: h.bet, done: false, doubled: false, split: true, splitAces: c2.r === "A" };
+  const count = g.hands.length + 1;
+  h1.done = splitAceLocked(h1, count, g.rules); h2.done = splitAceLocked(h2, count, g.rules);
+  g.hands.splice(g.active, 1, h1, h2);
+  if (h1.done) advanceHand(g);
+  return g;
+}
+
+export function surrender(state) {
+  if (!canSurrender(state)) return state;
+  const g = draft(state);
+  g.dealer.peekPending = false;
+  const h = g.hands[g.active];
+  h.surrendered = true; h.done = true;
+  advanceHand(g);
+  return g;
+}
+
+const PLAYER_ACTIONS = { HIT: hit, STAND: stand, DOUBLE: double, SPLIT: split, SURRENDER: surrender };
+
+// Apply a strategy action name ("HIT", "STAND", ...) to the active hand
+export const playerAction = (state, action) => (PLAYER_ACTIONS[action] ? PLAYER_ACTIONS[action](state) : state);
+
+const settleRound = (g) => {
+  const dCards = g.dealer.cards; let totalDelta = 0; const messages = []; const results = [];
+  for (const h of g.hands) { const res = settleHand(h, dCards, g.rules); totalDelta += res.delta; messages.push(res.text); results.push(res); }
+  const ins = g.insurance;
+  const insReturn = insuranceReturn(ins, dCards);
+  if (ins > 0) { totalDelta += insReturn; messages.push(insReturn > 0 ? `Insurance pays 2:1. +$${insReturn - ins}` : `Insurance lost. -$${ins}`); }
+  const refund = oboRefund(g.hands, g.roundBet, dCards, g.rules);
+  if (refund > 0) { totalDelta += refund; messages.push(`Dealer blackjack: extra bets returned (OBO). +$${refund}`); }
+  const totalBet = g.hands.reduce((a, h) => a + h.bet, 0) + ins;
+  g.result = {
+    playerHands: clone(g.hands),
+    dealerCards: clone(dCards),
+    results,
+    insurance: ins > 0 ? { amount: ins, return: insReturn } : null,
+    bet: g.roundBet,
+    totalBet,
+    totalReturn: totalDelta,
+    net: totalDelta - totalBet,
+    drawn: clone(g.drawn), // with the rules, enough to play the round again
+    rules: g.rules,
+  };
+  g.bankroll += totalDelta;
+  g.insurance = 0;
+  g.message = messages.join("\n");
+  g.phase = "settle";
+};
+
+// Advance a phase that needs no decision
+export function step(state) {
+  if (state.phase === "dealing") {
+    const g = draft(state);
+    if (g.dealer.cards[0].r === "A") g.phase = "insurance"; // offer insurance before the peek
+    else peekAndPlay(g);
+    return g;
+  }
+  if (state.phase === "dealer") {
+    const g = draft(state);
+    // Nothing left to play for once every hand has surrendered
+    const live = g.hands.some((h) => !h.surrendered);
+    while (live && dealerShouldHit(g.dealer.cards, g.rules)) g.dealer.cards.push(drawCard(g));
+    g.phase = "settling";
+    return g;
+  }
+  if (state.phase === "settling") {
+    const g = draft(state);
+    settleRound(g);
+    return g;
+  }
+  return state;
+}
+
+// Step through every automatic phase until a decision (or the next deal) is due
+export function runToDecision(state) {
+  let s = state;
+  while (AUTO_PHASES.includes(s.phase)) s = step(s);
+  return s;
+}
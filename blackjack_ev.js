@@ -0,0 +1,200 @@
+// =============================================================
+// Expected value per action for the hand being played, from the active
+// rules and the cards the player hasn't seen yet (composition-dependent).
+// Values are per unit of the hand's bet: -0.05 costs 5¢ per $1.
+// =============================================================
+import { DEFAULT_RULES, activeHand, availableActions, decisionOptions, handTotal, isPair, rankValue, rulesAllowDouble, shoeComposition } from "./blackjack_engine.js";
+
+const VALUES = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11]; // 11 = Aces, as in the strategy charts
+// Cards removed from a composition, packed into one number (4 bits per value) for memo keys
+const KEY_STEP = Object.fromEntries(VALUES.map((v, i) => [v, 16 ** i]));
+
+// Add one card value to a hand held as {total, soft}; soft means an Ace still counts 11
+export function addCard({ total, soft }, v) {
+  if (v === 11 && soft) total += 1; // only one Ace can count 11
+  else total += v;
+  soft = soft || v === 11;
+  if (total > 21 && soft) { total -= 10; soft = false; }
+  return { total, soft };
+}
+
+const countCards = (comp) => VALUES.reduce((n, v) => n + comp[v], 0);
+
+// ---------------------- Dealer ----------------------
+// Dealer results as an array: final totals 17–21 (indices 0–4), bust (5), blackjack (6)
+const FINAL = Array.from({ length: 6 }, (_, i) => { const out = Array(7).fill(0); out[i] = 1; return out; });
+
+const dealerStands = (h, rules) => h.total > 17 || (h.total === 17 && !(h.soft && rules.hitSoft17));
+
+function dealerDraws(h, comp, n, key, rules, memo) {
+  if (h.total > 21) return FINAL[5];
+  if (dealerStands(h, rules)) return FINAL[h.total - 17];
+  const known = memo.get(key);
+  if (known) return known;
+  const out = Array(7).fill(0);
+  for (const v of VALUES) {
+    const c = comp[v];
+    if (!c) continue;
+    comp[v] -= 1;
+    const sub = dealerDraws(addCard(h, v), comp, n - 1, key + KEY_STEP[v], rules, memo);
+    comp[v] += 1;
+    for (let i = 0; i < 6; i++) out[i] += (c / n) * sub[i];
+  }
+  memo.set(key, out);
+  return out;
+}
+
+// Chance the hole card (ENHC: the second card) makes a dealer blackjack
+export function dealerBlackjackChance(up, comp) {
+  const bjValue = up === 11 ? 10 : up === 10 ? 11 : 0;
+  return bjValue ? comp[bjValue] / countCards(comp) : 0;
+}
+
+// Dealer outcome probabilities for an upcard, drawing without replacement from comp.
+// noBlackjack: the dealer has already peeked, so the hole card can't complete a blackjack.
+function dealerDist(up, comp, rules, noBlackjack) {
+  const n = countCards(comp);
+  const bjValue = up === 11 ? 10 : up === 10 ? 11 : 0;
+  const holeCards = noBlackjack && bjValue ? n - comp[bjValue] : n;
+  const upHand = addCard({ total: 0, soft: false }, up);
+  const memo = new Map();
+  const out = Array(7).fill(0);
+  for (const v of VALUES) {
+    const c = comp[v];
+    if (!c) continue;
+    if (v === bjValue) { if (!noBlackjack) out[6] += c / n; continue; }
+    comp[v] -= 1;
+    const sub = dealerDraws(addCard(upHand, v), comp, n - 1, KEY_STEP[v], rules, memo);
+    comp[v] += 1;
+    for (let i = 0; i < 6; i++) out[i] += (c / holeCards) * sub[i];
+  }
+  return out;
+}
+
+export function dealerOutcomes(up, comp, rules = DEFAULT_RULES, noBlackjack = false) {
+  const d = dealerDist(up, comp.slice(), rules, noBlackjack);
+  return { 17: d[0], 18: d[1], 19: d[2], 20: d[3], 21: d[4], bust: d[5], blackjack: d[6] };
+}
+
+// ---------------------- Player ----------------------
+// Standing on a total against dealer results that exclude a blackjack
+function standVs(total, d) {
+  if (total > 21) return -1;
+  let ev = d[5];
+  for (let t = 17; t <= 21; t++) ev += t < total ? d[t - 17] : t > total ? -d[t - 17] : 0;
+  return ev;
+}
+
+// Everything below is conditioned on no dealer blackjack; handEvs() adds the blackjack back in.
+// Player draws come out of ctx.comp, so the dealer's odds follow the cards the player takes.
+const makeCtx = (up, comp, rules) => ({ up, comp, n: countCards(comp), rules, dealer: new Map(), hits: new Map() });
+
+function standEv(ctx, total, key) {
+  if (total > 21) return -1;
+  let d = ctx.dealer.get(key);
+  if (!d) { d = dealerDist(ctx.up, ctx.comp, ctx.rules, true); ctx.dealer.set(key, d); }
+  return standVs(total, d);
+}
+
+// Average over the next card; fn(hand, key, value) values the hand after it
+function drawEach(ctx, h, key, fn) {
+  let ev = 0; const n = ctx.n;
+  for (const v of VALUES) {
+    const c = ctx.comp[v];
+    if (!c) continue;
+    ctx.comp[v] -= 1; ctx.n -= 1;
+    ev += (c / n) * fn(addCard(h, v), key + KEY_STEP[v], v);
+    ctx.comp[v] += 1; ctx.n += 1;
+  }
+  return ev;
+}
+
+// Take a card, then keep hitting or stand, whichever is better
+function hitEv(ctx, h, key) {
+  const known = ctx.hits.get(key);
+  if (known !== undefined) return known;
+  const ev = drawEach(ctx, h, key, (h2, k2) => {
+    if (h2.total > 21) return -1;
+    if (h2.total === 21) return standEv(ctx, 21, k2);
+    return Math.max(standEv(ctx, h2.total, k2), hitEv(ctx, h2, k2));
+  });
+  ctx.hits.set(key, ev);
+  return ev;
+}
+
+const doubleEv = (ctx, h, key) => 2 * drawEach(ctx, h, key, (h2, k2) => standEv(ctx, h2.total, k2));
+
+const rankOf = (v) => (v === 11 ? "A" : String(v));
+
+// Split: each new hand starts from one card of the pair and plays its best of stand / hit / double.
+// Both hands draw from the same shoe and re-splits are not counted.
+function splitEv(up, comp, rules, pairValue) {
+  const ctx = makeCtx(up, comp, rules);
+  const start = addCard({ total: 0, soft: false }, pairValue);
+  const aces = pairValue === 11;
+  const one = drawEach(ctx, start, 0, (h, key, v) => {
+    if (aces && !rules.hitSplitAces) return standEv(ctx, h.total, key);
+    let best = Math.max(standEv(ctx, h.total, key), h.total < 21 ? hitEv(ctx, h, key) : -1);
+    const hand = { split: true, cards: [{ r: rankOf(pairValue) }, { r: rankOf(v) }] };
+    if (rulesAllowDouble(hand, rules)) best = Math.max(best, doubleEv(ctx, h, key));
+    return best;
+  });
+  return 2 * one;
+}
+
+// EV of each action for a hand ({HIT, STAND, DOUBLE, SPLIT, SURRENDER}; null when not on offer).
+// opts: which actions are on offer, plus blackjackRuledOut once the dealer has peeked.
+export function actionEvs(playerCards, dealerUp, comp, rules = DEFAULT_RULES, opts = {}) {
+  const { canHit = true, canDouble = true, canSplit = false, canSurrender = false, blackjackRuledOut = true } = opts;
+  const up = rankValue(dealerUp.r);
+  const work = comp.slice();
+  const ctx = makeCtx(up, work, rules);
+  const h = handTotal(playerCards);
+  const evs = {
+    HIT: canHit ? hitEv(ctx, h, 0) : null,
+    STAND: standEv(ctx, h.total, 0),
+    DOUBLE: canDouble ? doubleEv(ctx, h, 0) : null,
+    SPLIT: canSplit && isPair(playerCards) ? splitEv(up, work, rules, rankValue(playerCards[0].r)) : null,
+    SURRENDER: null,
+  };
+
+  // Without a peek a dealer blackjack can still come: the hand loses its bet,
+  // doubles and splits lose the extra bet too unless only original bets are lost
+  const p = blackjackRuledOut ? 0 : dealerBlackjackChance(up, comp);
+  if (!blackjackRuledOut) {
+    const extraLost = rules.holeCard === "enhc" && rules.enhcLoss === "all" ? 2 : 1;
+    for (const a of ["HIT", "STAND", "DOUBLE", "SPLIT"]) {
+      if (evs[a] !== null) evs[a] = p * -(a === "DOUBLE" || a === "SPLIT" ? extraLost : 1) + (1 - p) * evs[a];
+    }
+  }
+  // Only early surrender gets away from a blackjack the dealer hasn't checked for
+  if (canSurrender) evs.SURRENDER = rules.surrender === "early" ? -0.5 : -p + (1 - p) * -0.5;
+  return evs;
+}
+
+// EVs for the active hand of a game in the player phase
+export function handEvs(state) {
+  const hand = activeHand(state);
+  if (!hand) return null;
+  const actions = availableActions(state);
+  const opts = decisionOptions(state, hand);
+  return actionEvs(hand.cards, state.dealer.cards[0], shoeComposition(state), state.rules, {
+    canHit: actions.HIT,
+    canDouble: opts.canDouble,
+    canSplit: actions.SPLIT,
+    canSurrender: opts.canSurrender,
+    // Early surrender comes before the peek, so until then a dealer blackjack is still possible
+    // (whatever the hole card is, so the hint gives nothing away); ENHC never peeks
+    blackjackRuledOut: state.rules.holeCard === "peek" && !(state.rules.surrender === "early" && opts.canSurrender),
+  });
+}
+
+// Best action on offer by EV
+export function bestEvAction(evs) {
+  let best = null;
+  for (const [a, ev] of Object.entries(evs)) if (ev !== null && (best === null || ev > evs[best])) best = a;
+  return best;
+}
+
+// Cents per dollar, e.g. "−4.3¢"; unsigned for differences between two plays
+export const formatEv = (ev, signed = true) => `${signed && ev > 0 ? "+" : ev < 0 ? "−" : ""}${Math.abs(ev * 100).toFixed(1)}¢`;
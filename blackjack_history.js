@@ -0,0 +1,187 @@
+// =============================================================
+// Hand history: each settled round as the engine reported it, plus the
+// decisions made during it, graded against the play recommended at the time.
+// Stats are tallied from the same entries, one round at a time. Timestamps are ISO strings.
+// =============================================================
+import { clone, handTotal, isBlackjack } from "./blackjack_engine.js";
+import { parseCellId } from "./blackjack_srs.js";
+
+const bareCard = ({ r, s }) => ({ r, s });
+
+// One graded decision. hand is the index into the round's player hands; insurance decisions
+// are INSURE / DECLINE on hand 0 with no chart cell. A decision that ran out of time is a
+// mistake whatever was played after it (action stays null until then).
+export function logDecision({ hand, cards, up, action, recommended, reason, ok, cell = null, hinted = false, timedOut = false }) {
+  return { hand, cards: cards.map(bareCard), up: bareCard(up), action, recommended, reason, ok, cell, hinted, timedOut };
+}
+
+// A settled round ({playerHands, dealerCards, results, ...}) with its decisions.
+// meta: {id, timestamp, session, bankroll (after the round), shuffled (first round of a fresh shoe)}
+export const historyEntry = (result, decisions, meta) => ({ ...meta, ...result, decisions });
+
+// Entries saved before decisions were logged have none
+export const handDecisions = (entry, hand) => (entry.decisions || []).filter((d) => d.hand === hand);
+export const countMistakes = (decisions) => decisions.filter((d) => !d.ok).length;
+
+// "Stand", "Double", "Insure"… for display
+export const actionLabel = (action) => (action ? action[0] + action.slice(1).toLowerCase() : "No play");
+
+// ---------------------- Stats ----------------------
+const WIN_OUTCOMES = ["win", "dealer_bust", "blackjack", "even_money"];
+const LOSS_OUTCOMES = ["lose", "bust", "surrender"];
+
+const emptyTally = () => ({ n: 0, correct: 0 });
+const emptyResults = () => ({ n: 0, win: 0, loss: 0, push: 0, net: 0 });
+
+export const emptyStats = () => ({
+  rounds: 0,
+  net: 0,
+  blackjacks: 0, // rounds dealt a natural
+  hands: emptyResults(),
+  doubles: emptyResults(), // doubled hands
+  splits: emptyResults(), // hands played from a split
+  decisions: { n: 0, correct: 0, hinted: 0 },
+  byType: { hard: emptyTally(), soft: emptyTally(), pairs: emptyTally() },
+  byUp: {}, // by dealer upcard value (11 = Ace)
+  byCell: {}, // by chart cell id
+});
+
+function addResult(r, outcome, net) {
+  r.n += 1;
+  r.net += net;
+  if (WIN_OUTCOMES.includes(outcome)) r.win += 1;
+  else if (LOSS_OUTCOMES.includes(outcome)) r.loss += 1;
+  else r.push += 1;
+}
+
+function addTally(t, ok) {
+  t.n += 1;
+  if (ok) t.correct += 1;
+}
+
+// Add one history entry; returns new stats. Insurance counts toward overall accuracy only.
+export function addRound(stats, entry) {
+  const s = clone(stats);
+  s.rounds += 1;
+  s.net += entry.net;
+  const first = entry.playerHands[0];
+  if (first && !first.split && isBlackjack(first.cards)) s.blackjacks += 1;
+  entry.playerHands.forEach((h, i) => {
+    const { outcome, delta } = entry.results[i];
+    const net = delta - h.bet;
+    addResult(s.hands, outcome, net);
+    if (h.doubled) addResult(s.doubles, outcome, net);
+    if (h.split) addResult(s.splits, outcome, net);
+  });
+  for (const d of entry.decisions || []) {
+    s.decisions.n += 1;
+    if (d.ok) s.decisions.correct += 1;
+    if (d.hinted) s.decisions.hinted += 1;
+    if (!d.cell) continue;
+    const { table, up } = parseCellId(d.cell);
+    addTally(s.byType[table], d.ok);
+    addTally(s.byUp[up] || (s.byUp[up] = emptyTally()), d.ok);
+    addTally(s.byCell[d.cell] || (s.byCell[d.cell] = emptyTally()), d.ok);
+  }
+  return s;
+}
+
+// Stats for a list of entries, oldest or newest first
+export const tallyHistory = (entries) => entries.reduce(addRound, emptyStats());
+
+// Share of n, or null with nothing to share
+export const rate = (count, n) => (n ? count / n : null);
+
+// Cells played with at least one mistake, worst accuracy first
+export const weakCells = (stats, n = 10) =>
+  Object.entries(stats.byCell)
+    .filter(([, t]) => t.correct < t.n)
+    .map(([id, t]) => ({ id, ...parseCellId(id), ...t }))
+    .sort((a, b) => a.correct / a.n - b.correct / b.n || b.n - a.n)
+    .slice(0, n);
+
+// ---------------------- Bankroll ----------------------
+export const BANKROLL_ZOOMS = { last100: "Last 100", session: "Session", all: "All time" };
+const BIG_SWING = 2; // won or lost at least twice the opening bet
+
+// Opening bet of a round; entries saved before it was recorded undo a double on the first hand
+const openingBet = (e) => e.bet ?? e.playerHands[0].bet / (e.playerHands[0].doubled ? 2 : 1);
+
+// Bankroll after each round, oldest first, with what a chart marks. History is newest first;
+// entries saved without a bankroll are worked back from the round after (or the current bankroll).
+export function bankrollSeries(history, current) {
+  const points = [];
+  let after = current;
+  for (const e of history) {
+    const bankroll = e.bankroll ?? after;
+    const first = e.playerHands[0];
+    points.push({
+      id: e.id,
+      bankroll,
+      net: e.net,
+      session: e.session ?? null,
+      shuffled: !!e.shuffled,
+      blackjack: !first.split && isBlackjack(first.cards),
+      bigSwing: Math.abs(e.net) >= BIG_SWING * openingBet(e),
+    });
+    after = bankroll - e.net;
+  }
+  return points.reverse();
+}
+
+export function zoomSeries(points, zoom, session) {
+  if (zoom === "last100") return points.slice(-100);
+  if (zoom === "session") return points.filter((p) => p.session === session);
+  return points;
+}
+
+// ---------------------- Export / import ----------------------
+// JSON keeps the entries as they are, so an import restores them exactly
+export const historyToJSON = (history) =>
+  JSON.stringify({ type: "blackjack-history", version: 1, exported: new Date().toISOString(), entries: history }, null, 2);
+
+const isEntry = (e) =>
+  !!e && Number.isFinite(e.id) && typeof e.timestamp === "string" && Number.isFinite(e.net) &&
+  Array.isArray(e.playerHands) && Array.isArray(e.dealerCards) && Array.isArray(e.results) && e.results.length === e.playerHands.length;
+
+export function historyFromJSON(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error("Not a valid JSON file."); }
+  if (!data || data.type !== "blackjack-history" || !Array.isArray(data.entries)) throw new Error("Not a hand history export.");
+  data.entries.forEach((e, i) => { if (!isEntry(e)) throw new Error(`Entry ${i + 1} is missing its id, timestamp, hands, results or net.`); });
+  return data.entries;
+}
+
+// Imported rounds join the history newest first (ISO timestamps sort as text);
+// rounds already there, or repeated in the import, are skipped
+export function mergeHistory(history, imported) {
+  const ids = new Set(history.map((e) => e.id));
+  const added = imported.filter((e) => !ids.has(e.id) && ids.add(e.id));
+  const merged = [...history, ...added].sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : b.id - a.id));
+  return { history: merged, added };
+}
+
+// CSV has one row per player hand. hand_net leaves out insurance and OBO refunds, which round_net includes.
+const CSV_HEADER = [
+  "round_id", "timestamp", "hand", "player_cards", "player_total", "dealer_cards", "dealer_total",
+  "bet", "doubled", "split", "surrendered", "outcome", "hand_net", "round_net", "bankroll", "mistakes",
+];
+const csvField = (v) => {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const cardList = (cards) => cards.map((c) => `${c.r}${c.s}`).join(" ");
+
+export function historyToCSV(history) {
+  const lines = [CSV_HEADER.join(",")];
+  for (const e of [...history].reverse()) {
+    e.playerHands.forEach((h, i) => {
+      const r = e.results[i];
+      lines.push([
+        e.id, e.timestamp, i + 1, cardList(h.cards), handTotal(h.cards).total, cardList(e.dealerCards), handTotal(e.dealerCards).total,
+        h.bet, !!h.doubled, !!h.split, !!h.surrendered, r.outcome, r.delta - h.bet, e.net, e.bankroll, countMistakes(handDecisions(e, i)),
+      ].map(csvField).join(","));
+    });
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,44 @@
+// =============================================================
+// Replays of settled rounds: the round's cards are stacked into a fresh shoe in
+// the order they were drawn, and the logged decisions are played again through
+// the engine. Each frame is the table as it stood at one decision.
+// =============================================================
+import { DEFAULT_RULES, activeHand, createGame, deal, insure, playerAction, runToDecision } from "./blackjack_engine.js";
+import { actionLabel } from "./blackjack_history.js";
+
+const INSURANCE_ACTIONS = ["INSURE", "DECLINE"];
+
+// Entries saved before the drawn cards were recorded can't be replayed
+export const canReplay = (entry) => Array.isArray(entry.drawn) && entry.drawn.length > 0;
+
+const sameCards = (a, b) => a.length === b.length && a.every((c, i) => c.r === b[i].r && c.s === b[i].s);
+
+// [{state, decision}], one frame per logged decision, then the settled round (decision null).
+// A round with no decisions (a natural, a dealer blackjack) starts from the deal instead.
+export function replayFrames(entry) {
+  if (!canReplay(entry)) throw new Error("This round was saved before replays were recorded.");
+  const rules = { ...DEFAULT_RULES, ...entry.rules };
+  let g = deal({ ...createGame({ rules, seed: 1, bankroll: Infinity }), shoe: entry.drawn }, entry.bet);
+  const frames = [];
+  if (!(entry.decisions || []).length) frames.push({ state: g, decision: null });
+  g = runToDecision(g);
+  (entry.decisions || []).forEach((d, i) => {
+    const insurance = INSURANCE_ACTIONS.includes(d.action);
+    const hand = insurance ? g.hands[0] : activeHand(g);
+    if (!hand || g.phase !== (insurance ? "insurance" : "player") || !sameCards(hand.cards, d.cards)) {
+      throw new Error(`Decision ${i + 1} (${actionLabel(d.action)}) doesn't match the replayed table.`);
+    }
+    frames.push({ state: g, decision: d });
+    const next = insurance ? insure(g, d.action === "INSURE") : playerAction(g, d.action);
+    if (next === g) throw new Error(`Decision ${i + 1} (${actionLabel(d.action)}) can't be played here.`);
+    g = runToDecision(next);
+  });
+  if (g.phase !== "settle" || !sameCards(g.dealer.cards, entry.dealerCards) || g.hands.length !== entry.playerHands.length) {
+    throw new Error("The replay doesn't finish the way this round did.");
+  }
+  frames.push({ state: g, decision: null });
+  return frames;
+}
+
+// Index of the next frame after `from` whose decision was a mistake, or -1
+export const nextMistake = (frames, from) => frames.findIndex((f, i) => i > from && f.decision && !f.decision.ok);
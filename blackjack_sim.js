@@ -0,0 +1,69 @@
+// =============================================================
+// Monte Carlo simulation: basic strategy under a rule set, played through
+// the same engine as the live table (shoe, cut card, splits, settlement).
+// The worker runs it in batches; see blackjack_sim_worker.js.
+// =============================================================
+import { activeHand, availableActions, createGame, decisionOptions, deal, insure, needsShuffle, playerAction, runToDecision, shuffleShoe } from "./blackjack_engine.js";
+import { basicStrategyDecision } from "./blackjack_strategy.js";
+
+// One betting unit; 100 keeps 3:2, 6:5 and half-bet refunds in whole dollars
+export const SIM_BET = 100;
+export const SIM_ROUNDS = [100000, 1000000, 5000000];
+
+export const SIM_OUTCOMES = ["win", "dealer_bust", "blackjack", "push", "lose", "bust", "surrender"];
+
+export const createSimGame = (rules, seed) => createGame({ rules, seed, bankroll: Infinity });
+
+export const emptySimStats = () => ({ rounds: 0, hands: 0, net: 0, netSq: 0, wagered: 0, doubles: 0, splits: 0, outcomes: {} });
+
+// Play one round with basic strategy (insurance always declined) and return the settled state
+export function playBasicRound(state) {
+  let g = state;
+  if (needsShuffle(g)) g = shuffleShoe(g);
+  g = runToDecision(deal(g, SIM_BET));
+  if (g.phase === "insurance") g = runToDecision(insure(g, false));
+  while (g.phase === "player") {
+    const hand = activeHand(g);
+    const { action } = basicStrategyDecision(hand.cards, g.dealer.cards[0], decisionOptions(g, hand), g.rules);
+    g = runToDecision(playerAction(g, availableActions(g)[action] ? action : "STAND"));
+  }
+  return g;
+}
+
+// Play `rounds` more rounds, adding to stats (which is updated in place)
+export function simulateRounds(state, stats, rounds) {
+  let g = state;
+  for (let i = 0; i < rounds; i++) {
+    g = playBasicRound(g);
+    const { net, totalBet, results, playerHands } = g.result;
+    const units = net / SIM_BET;
+    stats.rounds += 1;
+    stats.net += units;
+    stats.netSq += units * units;
+    stats.wagered += totalBet / SIM_BET;
+    stats.hands += results.length;
+    if (playerHands.length > 1) stats.splits += 1;
+    for (const h of playerHands) if (h.doubled) stats.doubles += 1;
+    for (const r of results) stats.outcomes[r.outcome] = (stats.outcomes[r.outcome] || 0) + 1;
+  }
+  return g;
+}
+
+// House edge (per initial bet), standard deviation per round, and how often each outcome came up
+export function summarizeSim(stats) {
+  const n = Math.max(stats.rounds, 1);
+  const mean = stats.net / n;
+  const sd = Math.sqrt(Math.max(stats.netSq / n - mean * mean, 0));
+  const outcomes = {};
+  for (const o of SIM_OUTCOMES) outcomes[o] = (stats.outcomes[o] || 0) / Math.max(stats.hands, 1);
+  return {
+    rounds: stats.rounds,
+    houseEdge: -mean,
+    sd,
+    stdError: sd / Math.sqrt(n),
+    betUnits: stats.wagered / n,
+    doubleRate: stats.doubles / n,
+    splitRate: stats.splits / n,
+    outcomes, // share of player hands
+  };
+}
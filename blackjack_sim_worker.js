@@ -0,0 +1,15 @@
+// Simulation worker: plays the requested rounds in batches and posts a summary after each.
+// The page cancels a run by terminating the worker.
+import { createSimGame, emptySimStats, simulateRounds, summarizeSim } from "./blackjack_sim.js";
+
+const BATCH = 5000;
+
+self.onmessage = (e) => {
+  const { rules, rounds, seed } = e.data;
+  let game = createSimGame(rules, seed);
+  const stats = emptySimStats();
+  while (stats.rounds < rounds) {
+    game = simulateRounds(game, stats, Math.min(BATCH, rounds - stats.rounds));
+    self.postMessage({ done: stats.rounds >= rounds, summary: summarizeSim(stats) });
+  }
+};
@@ -0,0 +1,83 @@
+// =============================================================
+// Spaced repetition over chart cells (player hand × dealer upcard).
+// Each cell sits in a Leitner box: a miss sends it back to box 0, a correct play
+// moves it up a box and pushes its next review further out. The clock counts
+// adaptive deals, so reviews are scheduled in hands rather than days.
+// =============================================================
+import { UPCARDS, hardRowLabel, pairRowLabel, softRowLabel, upcardLabel } from "./blackjack_strategy.js";
+
+export const SRS_INTERVALS = [1, 3, 8, 20, 50, 120]; // hands until the next review, by box
+const TOP_BOX = SRS_INTERVALS.length - 1;
+
+export const emptySrs = () => ({ clock: 0, cells: {} }); // cells: {[id]: {box, due, seen, correct}}
+
+export const cellId = ({ table, key, up }) => `${table}:${key}:${up}`;
+export function parseCellId(id) {
+  const [table, key, up] = id.split(":");
+  return { table, key: Number(key), up: Number(up) };
+}
+
+export const cellLabel = ({ table, key, up }) => {
+  const hand = table === "pairs" ? pairRowLabel(key) : table === "soft" ? softRowLabel(key) : hardRowLabel(key);
+  return `${hand} vs ${upcardLabel(up)}`;
+};
+
+// Chart rows that can be dealt as a two-card starting hand, by hand type
+// (A,A counts as a pair and A,10 is a blackjack; ten-value pairs play as hard 20)
+export const SRS_ROWS = {
+  hard: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18],
+  soft: [13, 14, 15, 16, 17, 18, 19, 20],
+  pairs: [2, 3, 4, 5, 6, 7, 8, 9, 11],
+};
+
+// One more adaptive hand dealt
+export const advanceClock = (srs) => ({ ...srs, clock: srs.clock + 1 });
+
+export function recordReview(srs, id, ok) {
+  const prev = srs.cells[id] || { box: 0, due: 0, seen: 0, correct: 0 };
+  const box = ok ? Math.min(prev.box + 1, TOP_BOX) : 0;
+  const card = { box, due: srs.clock + SRS_INTERVALS[box], seen: prev.seen + 1, correct: prev.correct + (ok ? 1 : 0) };
+  return { ...srs, cells: { ...srs.cells, [id]: card } };
+}
+
+// Due cells come first, the lower the box the more often; cells never seen are
+// fresh material; cells not yet due still turn up now and then
+export function cellWeight(card, clock) {
+  if (!card) return 1;
+  if (card.due <= clock) return 2 ** (TOP_BOX - card.box);
+  return 0.05;
+}
+
+// Weighted pick of the next cell from the allowed hand types; rand in [0, 1)
+export function pickCell(srs, allowedTypes, rand) {
+  const cells = [];
+  for (const [table, keys] of Object.entries(SRS_ROWS)) {
+    if (!allowedTypes[table]) continue;
+    for (const key of keys) for (const up of UPCARDS) cells.push({ table, key, up });
+  }
+  const weights = cells.map((c) => cellWeight(srs.cells[cellId(c)], srs.clock));
+  let r = rand * weights.reduce((a, w) => a + w, 0);
+  for (let i = 0; i < cells.length; i++) {
+    r -= weights[i];
+    if (r < 0) return cells[i];
+  }
+  return cells[cells.length - 1];
+}
+
+// Card values that make the cell's starting hand; hard totals vary their two cards
+export function startingCards({ table, key, up }, rand) {
+  if (table === "pairs") return { player: [key, key], up };
+  if (table === "soft") return { player: [11, key - 11], up };
+  const splits = [];
+  for (let a = 2; a <= 10; a++) { const b = key - a; if (b > a && b <= 10) splits.push([a, b]); }
+  return { player: splits[Math.floor(rand * splits.length)], up };
+}
+
+// Cells played at least once with a miss, worst accuracy first
+export function weakestCells(srs, n = 5) {
+  return Object.entries(srs.cells)
+    .filter(([, c]) => c.correct < c.seen)
+    .map(([id, c]) => ({ id, ...parseCellId(id), ...c, accuracy: c.correct / c.seen }))
+    .sort((a, b) => a.accuracy - b.accuracy || b.seen - a.seen)
+    .slice(0, n);
+}
@@ -0,0 +1,109 @@
+// =============================================================
+// Saved progress: bankroll, settings, custom charts, history and stats in one
+// versioned localStorage entry. Older saves are upgraded step by step through
+// MIGRATIONS; anything a save leaves out falls back to the defaults.
+// Storage is passed in (the page passes localStorage) and may be missing or full:
+// loading then starts fresh and saving does nothing. A save from a newer version of
+// the app loads as the defaults with newerVersion set, and must not be written over.
+// =============================================================
+import { DEFAULT_QUIZ, DEFAULT_RULES, STARTING_BANKROLL } from "./blackjack_engine.js";
+import { emptyStats, tallyHistory } from "./blackjack_history.js";
+import { emptySrs } from "./blackjack_srs.js";
+import { emptyTiming } from "./blackjack_timing.js";
+
+export const STORAGE_KEY = "blackjack-trainer";
+export const STORAGE_VERSION = 3;
+export const LEGACY_SRS_KEY = "blackjack-trainer-srs"; // adaptive progress, saved on its own before version 1
+export const HISTORY_LIMIT = 1000; // most recent rounds kept
+
+export const defaultSave = () => ({
+  version: STORAGE_VERSION,
+  bankroll: STARTING_BANKROLL,
+  settings: {
+    bet: 25,
+    autoDeal: true,
+    muted: false,
+    allowedTypes: { hard: true, soft: true, pairs: true },
+    dealMode: "random",
+    rules: DEFAULT_RULES,
+    showCount: false,
+    grading: "basic",
+    quiz: DEFAULT_QUIZ,
+    timeLimit: 0,
+  },
+  charts: {},
+  activeChart: "",
+  history: [],
+  stats: { srs: emptySrs(), timing: emptyTiming(), play: emptyStats() }, // play: all-time results and accuracy
+});
+
+// Each step upgrades a save from its version to the next one
+const MIGRATIONS = {
+  // Version 0: just the spaced-repetition schedule, under its own key
+  0: (save) => ({ version: 1, stats: { srs: save.srs } }),
+  // Version 1 had no all-time stats: start them from the saved history
+  1: (save) => ({ ...save, version: 2, stats: { ...save.stats, play: tallyHistory(save.history || []) } }),
+  // Version 2 kept local times of day; the entry id is the time the round settled
+  2: (save) => ({ ...save, version: 3, history: (save.history || []).map((e) => ({ ...e, timestamp: new Date(e.id).toISOString() })) }),
+};
+
+export function migrateSave(save) {
+  let s = save;
+  if (s.version > STORAGE_VERSION) throw new Error(`Save version ${s.version} is newer than this app (${STORAGE_VERSION})`);
+  while (s.version < STORAGE_VERSION) {
+    const upgrade = MIGRATIONS[s.version];
+    if (!upgrade) throw new Error(`No migration from save version ${s.version}`);
+    s = upgrade(s);
+  }
+  return s;
+}
+
+// Defaults for anything missing, nested settings included (e.g. a rule added since the save)
+export function withDefaults(save) {
+  const base = defaultSave();
+  const settings = save.settings || {};
+  return {
+    ...base,
+    ...save,
+    settings: {
+      ...base.settings,
+      ...settings,
+      allowedTypes: { ...base.settings.allowedTypes, ...settings.allowedTypes },
+      rules: { ...DEFAULT_RULES, ...settings.rules },
+      quiz: { ...DEFAULT_QUIZ, ...settings.quiz },
+    },
+    stats: { ...base.stats, ...save.stats },
+  };
+}
+
+export function loadSave(storage) {
+  try {
+    const raw = storage.getItem(STORAGE_KEY);
+    if (raw) {
+      const save = JSON.parse(raw);
+      if (save.version > STORAGE_VERSION) return { ...defaultSave(), newerVersion: save.version };
+      return withDefaults(migrateSave(save));
+    }
+    const legacy = storage.getItem(LEGACY_SRS_KEY);
+    if (legacy) return withDefaults(migrateSave({ version: 0, srs: JSON.parse(legacy) }));
+  } catch { /* unavailable or unreadable */ }
+  return defaultSave();
+}
+
+// Returns whether the save was written
+export function writeSave(storage, save) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({ ...save, version: STORAGE_VERSION, history: save.history.slice(0, HISTORY_LIMIT) }));
+    storage.removeItem(LEGACY_SRS_KEY);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function clearSave(storage) {
+  try {
+    storage.removeItem(STORAGE_KEY);
+    storage.removeItem(LEGACY_SRS_KEY);
+  } catch { /* storage unavailable */ }
+}
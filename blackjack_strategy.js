@@ -0,0 +1,421 @@
+// =============================================================
+// Strategy - rule-aware basic strategy charts, Hi-Lo index plays
+// and the insurance decision. Pure functions over the engine's cards.
+// =============================================================
+import { DEFAULT_RULES, formatCount, handTotal, isPair, rankValue } from "./blackjack_engine.js";
+
+// --------------------------- Insurance ---------------------------
+export const INSURANCE_INDEX = 3; // Hi-Lo true count at which insurance becomes +EV
+
+// Basic strategy always declines; pass a true count to apply the +3 index
+export function insuranceDecision(trueCount = null) {
+  if (trueCount !== null && trueCount >= INSURANCE_INDEX) {
+    return { take: true, reason: `True count ${trueCount.toFixed(1)} ≥ +${INSURANCE_INDEX}: take insurance.` };
+  }
+  if (trueCount !== null) return { take: false, reason: `True count ${trueCount.toFixed(1)} < +${INSURANCE_INDEX}: decline insurance.` };
+  return { take: false, reason: "Basic strategy: never take insurance or even money." };
+}
+
+export const upcardValue = (card) => !card ? 0 : (card.r === "A" ? 11 : rankValue(card.r));
+
+// ---------------------- Basic Strategy (rule-aware) ----------------------
+// Charts are built from the active table rules: a multi-deck S17/DAS base chart
+// plus the standard adjustments for H17, no DAS, 1–2 decks, 9–11 doubling and surrender.
+// Row strings list the play vs dealer 2,3,4,5,6,7,8,9,10,A.
+// H hit • S stand • D double (else hit) • d double (else stand) • P split • - don't split
+// Surrender cells (added by rule) are R (else hit), Rs (else stand), Rp (else split).
+export const UPCARDS = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+export const upcardLabel = (d) => (d === 11 ? "A" : String(d));
+
+export const BASE_HARD = {
+  5: "HHHHHHHHHH", 6: "HHHHHHHHHH", 7: "HHHHHHHHHH", 8: "HHHHHHHHHH",
+  9: "HDDDDHHHHH", 10: "DDDDDDDDHH", 11: "DDDDDDDDDH", 12: "HHSSSHHHHH",
+  13: "SSSSSHHHHH", 14: "SSSSSHHHHH", 15: "SSSSSHHHHH", 16: "SSSSSHHHHH", 17: "SSSSSSSSSS",
+  18: "SSSSSSSSSS",
+};
+export const BASE_SOFT = {
+  12: "HHHHHHHHHH", 13: "HHHDDHHHHH", 14: "HHHDDHHHHH", 15: "HHDDDHHHHH", 16: "HHDDDHHHHH",
+  17: "HDDDDHHHHH", 18: "SddddSSHHH", 19: "SSSSSSSSSS", 20: "SSSSSSSSSS", 21: "SSSSSSSSSS",
+};
+// Keyed by card value (11 = Aces); "-" plays the pair as its total
+export const BASE_PAIRS = {
+  2: "PPPPPP----", 3: "PPPPPP----", 4: "---PP-----", 5: "----------", 6: "PPPPP-----",
+  7: "PPPPPP----", 8: "PPPPPPPPPP", 9: "PPPPP-PP--", 10: "----------", 11: "PPPPPPPPPP",
+};
+
+export const CODE_ACTIONS = { H: "HIT", S: "STAND", D: "DOUBLE", Ds: "DOUBLE", P: "SPLIT", R: "SURRENDER", Rs: "SURRENDER", Rp: "SURRENDER" };
+export const CODE_WORDS = { H: "hit", S: "stand", D: "double", Ds: "double (else stand)", P: "split", R: "surrender", Rs: "surrender (else stand)", Rp: "surrender (else split)" };
+// What to do when the chart's first choice isn't available
+export const CODE_FALLBACKS = { D: "HIT", Ds: "STAND", R: "HIT", Rs: "STAND", Rp: "SPLIT" };
+
+export const hardRowLabel = (t) => (t === 18 ? "Hard 18+" : t === 5 ? "Hard 5 or less" : `Hard ${t}`);
+export const softRowLabel = (t) => `A,${t === 12 ? "A" : t - 11}`;
+export const pairRowLabel = (v) => (v === 11 ? "A,A" : `${v},${v}`);
+
+function parseRow(str) {
+  const codes = {};
+  UPCARDS.forEach((d, i) => { codes[d] = str[i] === "d" ? "Ds" : str[i]; });
+  return { codes, notes: {} };
+}
+
+// "2–6, 8, 9–A" from a list of upcard values
+function formatUpcards(ds) {
+  const runs = [];
+  for (const d of ds) {
+    const last = runs[runs.length - 1];
+    if (last && d === last[1] + 1) last[1] = d; else runs.push([d, d]);
+  }
+  return runs.map(([a, b]) => (a === b ? upcardLabel(a) : `${upcardLabel(a)}–${upcardLabel(b)}`)).join(", ");
+}
+
+// One-line summary of a chart row, e.g. "Hard 12: stand vs 4–6, otherwise hit"
+export function describeRow(label, codes) {
+  const counts = {};
+  for (const d of UPCARDS) counts[codes[d]] = (counts[codes[d]] || 0) + 1;
+  const order = [...new Set(UPCARDS.map((d) => codes[d]))];
+  const common = order.reduce((a, c) => (counts[c] > counts[a] ? c : a), order[0]);
+  if (order.length === 1) return `${label}: always ${CODE_WORDS[common]}`;
+  const parts = order.filter((c) => c !== common).map((c) => `${CODE_WORDS[c]} vs ${formatUpcards(UPCARDS.filter((d) => codes[d] === c))}`);
+  return `${label}: ${parts.join("; ")}, otherwise ${CODE_WORDS[common]}`;
+}
+
+export function buildStrategyChart(rules = DEFAULT_RULES) {
+  const hard = {}, soft = {}, pairs = {};
+  for (const [t, str] of Object.entries(BASE_HARD)) hard[t] = parseRow(str);
+  for (const [t, str] of Object.entries(BASE_SOFT)) soft[t] = parseRow(str);
+  for (const [v, str] of Object.entries(BASE_PAIRS)) pairs[v] = parseRow(str);
+  const set = (table, row, d, code, note) => { table[row].codes[d] = code; table[row].notes[d] = note; };
+
+  if (rules.decks <= 2) {
+    set(hard, 9, 2, "D", "1–2 decks");
+    set(hard, 11, 11, "D", "1–2 decks");
+  }
+  if (rules.decks === 1) {
+    set(hard, 8, 5, "D", "single deck"); set(hard, 8, 6, "D", "single deck");
+    set(soft, 13, 4, "D", "single deck"); set(soft, 14, 4, "D", "single deck");
+    set(soft, 17, 2, "D", "single deck"); set(soft, 19, 6, "Ds", "single deck");
+    if (rules.das) set(pairs, 7, 8, "P", "single deck");
+  }
+  if (rules.hitSoft17) {
+    set(hard, 11, 11, "D", "H17");
+    set(soft, 18, 2, "Ds", "H17");
+    set(soft, 19, 6, "Ds", "H17");
+  }
+  if (!rules.das) {
+    for (const v of [2, 3]) for (const d of [2, 3]) set(pairs, v, d, "-", "no DAS");
+    for (const d of [5, 6]) set(pairs, 4, d, "-", "no DAS");
+    set(pairs, 6, 2, "-", "no DAS");
+  }
+  if (rules.doubleOn === "9-11") {
+    const downgrade = (table, row) => {
+      for (const d of UPCARDS) {
+        const code = table[row].codes[d];
+        if (code === "D") set(table, row, d, "H", "double 9–11 only");
+        if (code === "Ds") set(table, row, d, "S", "double 9–11 only");
+      }
+    };
+    for (const t of Object.keys(hard)) if (t < 9 || t > 11) downgrade(hard, t);
+    for (const t of Object.keys(soft)) downgrade(soft, t);
+  }
+  if (rules.surrender === "late") {
+    set(hard, 16, 9, "R", "late surrender"); set(hard, 16, 10, "R", "late surrender"); set(hard, 16, 11, "R", "late surrender");
+    set(hard, 15, 10, "R", "late surrender");
+    if (rules.hitSoft17) {
+      set(hard, 15, 11, "R", "late surrender, H17");
+      set(hard, 17, 11, "Rs", "late surrender, H17");
+      set(pairs, 8, 11, "Rp", "late surrender, H17");
+    }
+  }
+  if (rules.surrender === "early") {
+    for (const t of [5, 6, 7, 12, 13, 14, 15, 16]) set(hard, t, 11, "R", "early surrender");
+    set(hard, 17, 11, "Rs", "early surrender");
+    for (const t of [14, 15, 16]) set(hard, t, 10, "R", "early surrender");
+    set(pairs, 8, 10, "Rp", "early surrender"); set(pairs, 8, 11, "Rp", "early surrender");
+  }
+  // No hole card and all bets lost to a blackjack: don't put more money out vs 10 or A
+  if (rules.holeCard === "enhc" && rules.enhcLoss === "all") {
+    set(hard, 11, 10, "H", "ENHC"); set(hard, 11, 11, "H", "ENHC");
+    set(pairs, 8, 10, "-", "ENHC"); set(pairs, 8, 11, "-", "ENHC");
+    set(pairs, 11, 11, "-", "ENHC");
+  }
+
+  // Pair rows carry the full play: split, or whatever the pair's total calls for
+  for (const v of Object.keys(pairs)) {
+    const n = Number(v);
+    const totalRow = n === 11 ? soft[12] : hard[Math.max(5, Math.min(18, n * 2))];
+    for (const d of UPCARDS) {
+      if (pairs[v].codes[d] !== "-") continue;
+      pairs[v].codes[d] = totalRow.codes[d];
+      if (!pairs[v].notes[d] && totalRow.notes[d]) pairs[v].notes[d] = totalRow.notes[d];
+    }
+  }
+
+  return describeChart({ hard, soft, pairs });
+}
+
+function describeChart(chart) {
+  for (const [table, rows] of Object.entries(chart)) {
+    for (const [k, row] of Object.entries(rows)) row.reason = describeRow(CHART_TABLES[table].label(Number(k)), row.codes);
+  }
+  return chart;
+}
+
+// Charts only depend on a few rule fields; build each variant once.
+// A custom chart (see Custom Charts below) is cached per overrides object, so overrides are never edited in place.
+const chartCache = new Map();
+const customCache = new WeakMap();
+export function strategyChartFor(rules = DEFAULT_RULES, custom = null) {
+  const enhc = rules.holeCard === "enhc" ? rules.enhcLoss : "peek";
+  const key = [Math.min(rules.decks, 3), rules.hitSoft17, rules.das, rules.doubleOn, rules.surrender, enhc].join("|");
+  if (!chartCache.has(key)) chartCache.set(key, buildStrategyChart(rules));
+  if (!custom) return chartCache.get(key);
+  if (!customCache.has(custom)) customCache.set(custom, new Map());
+  const variants = customCache.get(custom);
+  if (!variants.has(key)) variants.set(key, applyOverrides(chartCache.get(key), custom));
+  return variants.get(key);
+}
+
+// Chart row for a hand: { table: "pairs"|"soft"|"hard", key }
+export function strategyRowFor(playerCards, usePairs) {
+  const { total, soft } = handTotal(playerCards);
+  if (usePairs && isPair(playerCards)) return { table: "pairs", key: rankValue(playerCards[0].r) };
+  if (soft) return { table: "soft", key: total };
+  return { table: "hard", key: Math.max(5, Math.min(18, total)) };
+}
+
+// opts.canSurrender is optional: when omitted the chart's surrender answer stands.
+// custom: cell overrides from a custom chart, applied on top of the rule chart.
+export function basicStrategyDecision(playerCards, dealerUp, opts = { canDouble: true, canSplit: true }, rules = DEFAULT_RULES, custom = null) {
+  const chart = strategyChartFor(rules, custom);
+  const d = upcardValue(dealerUp);
+  const { table, key } = strategyRowFor(playerCards, opts.canSplit);
+  const row = chart[table][key];
+  const code = row.codes[d];
+  const note = row.notes[d] ? ` (${row.notes[d]})` : "";
+  let reason = `${row.reason}${note}.`;
+  let action = CODE_ACTIONS[code];
+  if (action === "DOUBLE" && !opts.canDouble) {
+    action = CODE_FALLBACKS[code];
+    reason += ` Double not available: ${action.toLowerCase()}.`;
+  }
+  if (action === "SURRENDER" && opts.canSurrender === false) {
+    action = CODE_FALLBACKS[code];
+    reason += ` Surrender not available: ${action.toLowerCase()}.`;
+  }
+  return { action, reason };
+}
+
+// ------------------------ Index Plays (Hi-Lo) ------------------------
+// Count-based deviations from the chart: play `at` when the true count is at or above
+// `index`, otherwise `below`. These are the standard multi-deck Hi-Lo numbers; `h17`
+// replaces the index where the dealer hits soft 17. Insurance (+3) is INSURANCE_INDEX.
+// Fab 4 surrenders have no `below`: under the index the hand is played as if it can't surrender.
+// The tens splits (10,10 vs 5 at +5, vs 6 at +4) are left out: this table never splits tens.
+export const FAB_4 = [
+  { table: "hard", key: 14, up: 10, index: 3, at: "R" },
+  { table: "hard", key: 15, up: 10, index: 0, at: "R" },
+  { table: "hard", key: 15, up: 9, index: 2, at: "R" },
+  { table: "hard", key: 15, up: 11, index: 1, h17: -1, at: "R" },
+];
+export const ILLUSTRIOUS_18 = [
+  { table: "hard", key: 16, up: 10, index: 0, at: "S", below: "H" },
+  { table: "hard", key: 15, up: 10, index: 4, at: "S", below: "H" },
+  { table: "hard", key: 10, up: 10, index: 4, at: "D", below: "H" },
+  { table: "hard", key: 12, up: 3, index: 2, at: "S", below: "H" },
+  { table: "hard", key: 12, up: 2, index: 3, at: "S", below: "H" },
+  { table: "hard", key: 11, up: 11, index: 1, h17: -1, at: "D", below: "H" },
+  { table: "hard", key: 9, up: 2, index: 1, at: "D", below: "H" },
+  { table: "hard", key: 10, up: 11, index: 4, h17: 3, at: "D", below: "H" },
+  { table: "hard", key: 9, up: 7, index: 3, at: "D", below: "H" },
+  { table: "hard", key: 16, up: 9, index: 5, at: "S", below: "H" },
+  { table: "hard", key: 13, up: 2, index: -1, at: "S", below: "H" },
+  { table: "hard", key: 12, up: 4, index: 0, at: "S", below: "H" },
+  { table: "hard", key: 12, up: 5, index: -2, at: "S", below: "H" },
+  { table: "hard", key: 12, up: 6, index: -1, at: "S", below: "H" },
+  { table: "hard", key: 13, up: 3, index: -2, at: "S", below: "H" },
+];
+export const INDEX_PLAYS = [...FAB_4.map((p) => ({ ...p, set: "Fab 4" })), ...ILLUSTRIOUS_18.map((p) => ({ ...p, set: "Illustrious 18" }))];
+
+const indexLabel = (play) => {
+  const hand = play.table === "pairs" ? pairRowLabel(play.key) : `${play.key}`;
+  return `${hand} vs ${upcardLabel(play.up)}`;
+};
+
+// Basic strategy adjusted for the true count. With trueCount === null this is basicStrategyDecision.
+export function indexStrategyDecision(playerCards, dealerUp, trueCount = null, opts = { canDouble: true, canSplit: true }, rules = DEFAULT_RULES, custom = null) {
+  const basic = basicStrategyDecision(playerCards, dealerUp, opts, rules, custom);
+  if (trueCount === null) return basic;
+  const d = upcardValue(dealerUp);
+  const { table, key } = strategyRowFor(playerCards, opts.canSplit);
+  const chartCode = strategyChartFor(rules, custom)[table][key].codes[d];
+  const surrenderOk = rules.surrender !== "none" && opts.canSurrender !== false;
+  const tc = formatCount(Math.round(trueCount * 10) / 10);
+  let declined = null; // Fab 4 surrender that the count says not to take
+  for (const play of INDEX_PLAYS) {
+    if (play.table !== table || play.key !== key || play.up !== d) continue;
+    const isSurrender = play.at === "R";
+    if (isSurrender && !surrenderOk) continue;
+    // A chart surrender outranks the I18 play unless the count has just turned it down
+    if (!isSurrender && surrenderOk && chartCode.startsWith("R") && !declined) continue;
+    const index = rules.hitSoft17 && play.h17 !== undefined ? play.h17 : play.index;
+    const name = `${play.set}: ${indexLabel(play)} at ${formatCount(index)}`;
+    if (isSurrender && trueCount < index) { declined = name; continue; }
+    const code = trueCount >= index ? play.at : play.below;
+    let action = CODE_ACTIONS[code];
+    let reason = trueCount >= index
+      ? `Index play (${name}): true count ${tc}, ${CODE_WORDS[code]}.`
+      : `Index play (${name}): true count ${tc} is below the index, ${CODE_WORDS[code]}.`;
+    if (declined) reason = `True count ${tc} is under the surrender index (${declined}). ${reason}`;
+    if (action === "DOUBLE" && !opts.canDouble) {
+      action = CODE_FALLBACKS[code];
+      reason += ` Double not available: ${action.toLowerCase()}.`;
+    }
+    return { action, reason, index: name };
+  }
+  if (!declined) return basic;
+  if (basic.action !== "SURRENDER") return { ...basic, reason: `${basic.reason} True count ${tc} is under the surrender index (${declined}).`, index: declined };
+  const action = CODE_FALLBACKS[chartCode];
+  return { action, reason: `True count ${tc} is under the surrender index (${declined}): ${action.toLowerCase()}.`, index: declined };
+}
+
+// ---------------------------- Chart Grids ----------------------------
+// The full hard / soft / pair grids, asked cell by cell of a decision function
+// (basic strategy by default), so the chart shows exactly what hints and grading say.
+export const ACTION_LETTERS = { HIT: "H", STAND: "S", DOUBLE: "D", SPLIT: "P", SURRENDER: "R" };
+
+const rankFor = (v) => (v === 11 ? "A" : String(v));
+
+// Two cards that land on a chart row
+export function chartRowCards(table, key) {
+  if (table === "pairs") return [{ r: rankFor(key), s: "♠" }, { r: rankFor(key), s: "♥" }];
+  if (table === "soft") return [{ r: "A", s: "♠" }, { r: key === 12 ? "A" : String(key - 11), s: "♥" }];
+  const [a, b] = key <= 11 ? [2, key - 2] : [10, key - 10];
+  return [{ r: String(a), s: "♠" }, { r: String(b), s: "♥" }];
+}
+
+const CHART_TABLES = {
+  hard: { keys: Object.keys(BASE_HARD).map(Number), label: hardRowLabel },
+  soft: { keys: Object.keys(BASE_SOFT).map(Number), label: softRowLabel },
+  pairs: { keys: Object.keys(BASE_PAIRS).map(Number), label: pairRowLabel },
+};
+const CHART_TABLE_NAMES = Object.keys(CHART_TABLES);
+
+// Only pairs split, and never tens: the table plays 10,10 as hard 20
+export const canSplitRow = (table, key) => table === "pairs" && Number(key) !== 10;
+
+// {hard, soft, pairs}: rows of {key, label, cells: {[upcard]: {action, letter, reason}}}
+
+export function strategyGrid(rules = DEFAULT_RULES, decide = (cards, up, opts) => basicStrategyDecision(cards, up, opts, rules)) {
+  const grid = {};
+  for (const [table, { keys, label }] of Object.entries(CHART_TABLES)) {
+    grid[table] = keys.map((key) => {
+      const cards = chartRowCards(table, key);
+      const opts = { canDouble: true, canSplit: canSplitRow(table, key), canSurrender: rules.surrender !== "none" };
+      const cells = {};
+      for (const d of UPCARDS) {
+        const { action, reason } = decide(cards, { r: rankFor(d), s: "♣" }, opts);
+        cells[d] = { action, letter: ACTION_LETTERS[action], reason };
+      }
+      return { key, label: label(key), cells };
+    });
+  }
+  return grid;
+}
+
+// ---------------------------- Custom Charts ----------------------------
+// A custom chart is a set of cell overrides on the rule chart, keyed like the chart:
+// { hard: { 16: { 10: "S" } }, soft: {}, pairs: {} }. Cells not overridden follow the rules.
+export const CUSTOM_CODES = ["H", "S", "D", "Ds", "P", "R", "Rs", "Rp"];
+export const emptyOverrides = () => ({ hard: {}, soft: {}, pairs: {} });
+
+// New overrides with one cell set (code null clears it)
+export function setOverride(overrides, table, key, d, code) {
+  const row = { ...(overrides[table][key] || {}) };
+  if (code) row[d] = code; else delete row[d];
+  const rows = { ...overrides[table], [key]: row };
+  if (!Object.keys(row).length) delete rows[key];
+  return { ...overrides, [table]: rows };
+}
+
+export const overrideCount = (overrides) =>
+  CHART_TABLE_NAMES.reduce((n, t) => n + Object.values(overrides[t]).reduce((m, row) => m + Object.keys(row).length, 0), 0);
+
+function applyOverrides(chart, overrides) {
+  const out = {};
+  for (const table of CHART_TABLE_NAMES) {
+    out[table] = {};
+    for (const [k, row] of Object.entries(chart[table])) {
+      const cells = overrides[table][k] || {};
+      const codes = { ...row.codes }; const notes = { ...row.notes };
+      for (const [d, code] of Object.entries(cells)) { codes[d] = code; notes[d] = "custom chart"; }
+      out[table][k] = { codes, notes };
+    }
+  }
+  return describeChart(out);
+}
+
+// Check imported overrides cell by cell; throws on anything the chart can't hold
+function cleanOverrides(raw) {
+  const out = emptyOverrides();
+  for (const table of CHART_TABLE_NAMES) {
+    for (const [k, row] of Object.entries((raw && raw[table]) || {})) {
+      if (!CHART_TABLES[table].keys.includes(Number(k))) throw new Error(`Unknown ${table} row "${k}".`);
+      for (const [d, code] of Object.entries(row)) {
+        if (!UPCARDS.includes(Number(d))) throw new Error(`Unknown dealer upcard "${d}" in ${table} ${k}.`);
+        if (!CUSTOM_CODES.includes(code)) throw new Error(`Unknown play "${code}" in ${table} ${k} vs ${upcardLabel(Number(d))}.`);
+        if (code === "P" && table !== "pairs") throw new Error(`Only pairs can split (${table} ${k}).`);
+        if (code === "P" && !canSplitRow(table, k)) throw new Error(`Tens are never split (${table} ${k} vs ${upcardLabel(Number(d))}).`);
+        out[table][k] = { ...(out[table][k] || {}), [d]: code };
+      }
+    }
+  }
+  return out;
+}
+
+// JSON keeps the overrides themselves, so an import is exactly what was exported
+export const chartToJSON = (name, overrides) => JSON.stringify({ type: "blackjack-chart", version: 1, name, overrides }, null, 2);
+
+export function chartFromJSON(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error("Not a valid JSON file."); }
+  if (!data || data.type !== "blackjack-chart") throw new Error("Not a strategy chart export.");
+  return { name: String(data.name || "Imported chart"), overrides: cleanOverrides(data.overrides) };
+}
+
+// CSV has the whole chart as played under the rules, one row per hand:
+// table,hand,2,3,4,5,6,7,8,9,10,A (hard/soft by total, pairs by card, A for Aces)
+const CSV_HEADER = ["table", "hand", ...UPCARDS.map(upcardLabel)];
+
+export function chartToCSV(rules = DEFAULT_RULES, overrides = null) {
+  const chart = strategyChartFor(rules, overrides);
+  const lines = [CSV_HEADER.join(",")];
+  for (const table of CHART_TABLE_NAMES) {
+    for (const key of CHART_TABLES[table].keys) {
+      const hand = table === "pairs" ? rankFor(key) : String(key);
+      lines.push([table, hand, ...UPCARDS.map((d) => chart[table][key].codes[d])].join(","));
+    }
+  }
+  return lines.join("\n");
+}
+
+// Cells that differ from the rule chart become the overrides ("d" is read as Ds, as in the base rows)
+export function chartFromCSV(text, rules = DEFAULT_RULES) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (!lines.length || lines[0].toLowerCase().replace(/\s/g, "") !== CSV_HEADER.join(",").toLowerCase()) {
+    throw new Error(`CSV must start with the header ${CSV_HEADER.join(",")}.`);
+  }
+  const base = strategyChartFor(rules);
+  const raw = emptyOverrides();
+  for (const line of lines.slice(1)) {
+    const [table, hand, ...codes] = line.split(",").map((c) => c.trim());
+    if (!CHART_TABLES[table]) throw new Error(`Unknown table "${table}".`);
+    if (codes.length !== UPCARDS.length) throw new Error(`Row ${table} ${hand} needs ${UPCARDS.length} plays.`);
+    const key = hand.toUpperCase() === "A" ? 11 : Number(hand);
+    if (!base[table][key]) throw new Error(`Unknown ${table} row "${hand}".`);
+    UPCARDS.forEach((d, i) => {
+      const code = codes[i] === "d" ? "Ds" : codes[i];
+      if (code !== base[table][key].codes[d]) raw[table][key] = { ...(raw[table][key] || {}), [d]: code };
+    });
+  }
+  return cleanOverrides(raw);
+}
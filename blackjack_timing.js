@@ -0,0 +1,52 @@
+// =============================================================
+// Decision timing: how long each play took, by hand category and chart cell.
+// Insurance / even money is a category of its own with no chart cell.
+// Times are in milliseconds; a decision that runs out of time is recorded at the limit.
+// =============================================================
+import { parseCellId } from "./blackjack_srs.js";
+
+export const TIME_LIMITS = [0, 2, 3, 5, 8]; // seconds per decision; 0 = untimed
+export const TIMING_TYPES = ["hard", "soft", "pairs", "insurance"];
+const MAX_SAMPLES = 500; // most recent decisions kept per category
+const MAX_CELL_SAMPLES = 20; // and per cell
+
+export const emptyTiming = () => ({ byType: Object.fromEntries(TIMING_TYPES.map((t) => [t, []])), cells: {} });
+
+const keepLast = (list, ms, max) => [...list, ms].slice(-max);
+
+// id is the chart cell, or null for insurance
+export function recordDecisionTime(timing, type, id, ms) {
+  return {
+    byType: { ...timing.byType, [type]: keepLast(timing.byType[type] || [], ms, MAX_SAMPLES) },
+    cells: id ? { ...timing.cells, [id]: keepLast(timing.cells[id] || [], ms, MAX_CELL_SAMPLES) } : timing.cells,
+  };
+}
+
+// Nearest-rank percentile (p in 0–100); null for no samples
+export function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// Past the limit (in seconds) counts as out of time; no limit never runs out
+export const timedOut = (ms, limit) => limit > 0 && ms >= limit * 1000;
+
+// Median and 90th percentile per category
+export function timingSummary(timing) {
+  return Object.fromEntries(TIMING_TYPES.map((t) => {
+    const list = timing.byType[t] || [];
+    return [t, { n: list.length, median: percentile(list, 50), p90: percentile(list, 90) }];
+  }));
+}
+
+// Cells where decisions come slowest (by median, seen at least twice)
+export function hesitationCells(timing, n = 5) {
+  return Object.entries(timing.cells)
+    .filter(([, list]) => list.length >= 2)
+    .map(([id, list]) => ({ id, ...parseCellId(id), n: list.length, median: percentile(list, 50) }))
+    .sort((a, b) => b.median - a.median)
+    .slice(0, n);
+}
+
+export const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
@@ -1,147 +1,35 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { Play, RefreshCw, Volume2, VolumeX, Coins, CheckCircle2, XCircle, Shuffle, Settings, Lightbulb, History } from "lucide-react";
+import { Play, RefreshCw, Volume2, VolumeX, Coins, CheckCircle2, XCircle, Shuffle, Settings, Lightbulb, History, Activity, LayoutGrid, Zap, BarChart3, LineChart, SkipBack, ChevronLeft, ChevronRight, X } from "lucide-react";
+import {
+  BJ_PAYOUTS, PENETRATIONS, activeHand, availableActions, canDeal, cardsLeft, classifyInitialHand, clearTable, countQuizDue,
+  createGame, currentTrueCount, cutCardReached, deal, decisionOptions, formatCount, handTotal, insuranceCost, insure, isBlackjack,
+  isTenValueRank, mulberry32, needsShuffle, nextRandom, parseSeed, playerAction, randomSeed, rulesLabel, scoreCountQuiz, canChangeRules, setRules, shoeDealt, shuffleShoe, stakeInPlay, step,
+} from "./blackjack_engine.js";
+import {
+  CUSTOM_CODES, UPCARDS, basicStrategyDecision, canSplitRow, chartFromCSV, chartFromJSON, chartToCSV, chartToJSON, emptyOverrides, indexStrategyDecision,
+  insuranceDecision, overrideCount, setOverride, strategyGrid, strategyRowFor, upcardLabel, upcardValue,
+} from "./blackjack_strategy.js";
+import { bestEvAction, formatEv, handEvs } from "./blackjack_ev.js";
+import { SIM_OUTCOMES, SIM_ROUNDS } from "./blackjack_sim.js";
+import { DRILL_TYPES, drawDrillHand, drillActions, emptyDrillStats, scoreDrill } from "./blackjack_drill.js";
+import { TIME_LIMITS, TIMING_TYPES, emptyTiming, formatSeconds, hesitationCells, recordDecisionTime, timedOut, timingSummary } from "./blackjack_timing.js";
+import {
+  BANKROLL_ZOOMS, actionLabel, addRound, bankrollSeries, countMistakes, emptyStats, handDecisions, historyEntry, historyFromJSON, historyToCSV, historyToJSON,
+  logDecision, mergeHistory, rate, weakCells, zoomSeries,
+} from "./blackjack_history.js";
+import { nextMistake, replayFrames } from "./blackjack_replay.js";
+import { HISTORY_LIMIT, clearSave, defaultSave, loadSave, writeSave } from "./blackjack_storage.js";
+import { advanceClock, cellId, cellLabel, emptySrs, pickCell, recordReview, startingCards, weakestCells } from "./blackjack_srs.js";
 
 // =============================================================
-// Blackjack Trainer - S17 • DAS • 3:2 (Full App, syntax fixed)
+// Blackjack Trainer - configurable table rules (Full App)
+// Defaults: S17 • DAS • 3:2 • 6 decks. Rules editable in Settings.
 // Dealer hole card stays FACE-DOWN until reveal with a flip.
-// Split Aces: one card only. No surrender. Auto-deal supported.
+// Re-split to 2–4 hands. Late/early surrender optional. Auto-deal supported.
+// Game logic lives in blackjack_engine.js; this component paces and draws it.
 // =============================================================
 
-// --------------------------- Utilities ---------------------------
-const SUITS = ["♠", "♥", "♦", "♣"];
-const RANKS = ["A", "2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K"];
-
-const rankValue = (r) => (r === "A" ? 11 : ["K", "Q", "J", "10"].includes(r) ? 10 : parseInt(r, 10));
-const isTenValueRank = (r) => ["10", "J", "Q", "K"].includes(r);
-
-const clone = (x) => JSON.parse(JSON.stringify(x));
-
-function shuffle(array) {
-  const a = array.slice();
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-
-function makeShoe(decks = 6) {
-  const cards = [];
-  for (let d = 0; d < decks; d++) {
-    for (const s of SUITS) {
-      for (const r of RANKS) {
-        cards.push({ r, s, id: `${r}${s}-${d}-${Math.random().toString(36).slice(2, 6)}` });
-      }
-    }
-  }
-  return shuffle(cards);
-}
-
-function handTotal(cards) {
-  let total = 0;
-  let aces = 0;
-  for (const c of cards) {
-    if (c.r === "A") { aces++; total += 11; }
-    else total += rankValue(c.r);
-  }
-  while (total > 21 && aces > 0) { total -= 10; aces--; }
-  // soft if at least one ace can be 11 after adjustment
-  let baseAsOne = 0, aceCount = 0;
-  for (const c of cards) { if (c.r === "A") { aceCount++; baseAsOne += 1; } else baseAsOne += rankValue(c.r); }
-  const soft = aceCount > 0 && baseAsOne + 10 <= 21;
-  return { total, soft };
-}
-
-const isBlackjack = (cards) => cards.length === 2 && handTotal(cards).total === 21;
-// Classify initial two-card player hand for training filters
-function classifyInitialHand(cards) {
-  if (cards.length !== 2) return "unknown";
-  // For splits training: only treat exact equal-value pairs as "pairs",
-  // but EXCLUDE all value-10 combos (10/J/Q/K in any combination).
-  const v1 = rankValue(cards[0].r);
-  const v2 = rankValue(cards[1].r);
-  if (v1 === v2) {
-    if (v1 === 10) return "hard"; // exclude ALL 10-value pairs (10/J/Q/K, mixed or same)
-    return "pairs";
-  }
-  const { soft } = handTotal(cards);
-  return soft ? "soft" : "hard";
-}
-
-const isPair = (cards) => cards.length === 2 && ((isTenValueRank(cards[0].r) && isTenValueRank(cards[1].r)) || cards[0].r === cards[1].r);
-const upcardValue = (card) => !card ? 0 : (card.r === "A" ? 11 : rankValue(card.r));
-
-// ---------------------- Basic Strategy (S17, DAS) ----------------------
-function basicStrategyDecision(playerCards, dealerUp, opts = { canDouble: true, canSplit: true }) {
-  const d = upcardValue(dealerUp);
-  const { total, soft } = handTotal(playerCards);
-  const pair = isPair(playerCards);
-  const [r1, r2] = playerCards.map((c) => c.r);
-
-  // Pairs
-  if (pair && opts.canSplit) {
-    const tenPair = isTenValueRank(r1) && isTenValueRank(r2);
-    if (r1 === "A" && r2 === "A") return { action: "SPLIT", reason: "Split A,A always." };
-    if ((r1 === "8" && r2 === "8") || (rankValue(r1) === 8 && rankValue(r2) === 8)) return { action: "SPLIT", reason: "Split 8,8 always." };
-    if (tenPair) return { action: "STAND", reason: "10-value pair: stand." };
-    if ((r1 === "9" && r2 === "9") || (rankValue(r1) === 9 && rankValue(r2) === 9)) {
-      if (d >= 2 && d <= 9 && d !== 7) return { action: "SPLIT", reason: "9,9 split vs 2–9 except 7." };
-      return { action: "STAND", reason: "9,9 stand vs 7,10,A." };
-    }
-    if ((r1 === "7" && r2 === "7") || (rankValue(r1) === 7 && rankValue(r2) === 7)) {
-      if (d >= 2 && d <= 7) return { action: "SPLIT", reason: "7,7 split vs 2–7." };
-      return { action: "HIT", reason: "7,7 otherwise hit." };
-    }
-    if ((r1 === "6" && r2 === "6") || (rankValue(r1) === 6 && rankValue(r2) === 6)) {
-      if (d >= 2 && d <= 6) return { action: "SPLIT", reason: "6,6 split vs 2–6." };
-      return { action: "HIT", reason: "6,6 otherwise hit." };
-    }
-    if ((r1 === "4" && r2 === "4") || (rankValue(r1) === 4 && rankValue(r2) === 4)) {
-      if (d >= 5 && d <= 6) return { action: "SPLIT", reason: "4,4 split vs 5–6." };
-      return { action: "HIT", reason: "4,4 otherwise hit." };
-    }
-    if ((r1 === "3" && r2 === "3") || (rankValue(r1) === 3 && rankValue(r2) === 3) || (r1 === "2" && r2 === "2") || (rankValue(r1) === 2 && rankValue(r2) === 2)) {
-      if (d >= 2 && d <= 7) return { action: "SPLIT", reason: "3,3 & 2,2 split vs 2–7." };
-      return { action: "HIT", reason: "Otherwise hit." };
-    }
-    return { action: "HIT", reason: "Unlisted pair: hit." };
-  }
-
-  // Soft totals
-  if (soft) {
-    let base = 0; for (const c of playerCards) if (c.r !== "A") base += rankValue(c.r);
-    const softTotal = base + 11; // one ace as 11
-    if (softTotal >= 19) return { action: "STAND", reason: "A8+ stand." };
-    if (softTotal === 18) {
-      if (d >= 3 && d <= 6 && opts.canDouble) return { action: "DOUBLE", reason: "A7 double vs 3–6." };
-      if ([2, 7, 8].includes(d)) return { action: "STAND", reason: "A7 stand vs 2,7,8." };
-      return { action: "HIT", reason: "A7 hit vs 9,10,A." };
-    }
-    if ([13, 14].includes(softTotal)) {
-      if ((d === 5 || d === 6) && opts.canDouble) return { action: "DOUBLE", reason: "A2–A3 double vs 5–6." };
-      return { action: "HIT", reason: "Otherwise hit." };
-    }
-    if ([15, 16].includes(softTotal)) {
-      if (d >= 4 && d <= 6 && opts.canDouble) return { action: "DOUBLE", reason: "A4–A5 double vs 4–6." };
-      return { action: "HIT", reason: "Otherwise hit." };
-    }
-    if (softTotal === 17) {
-      if (d >= 3 && d <= 6 && opts.canDouble) return { action: "DOUBLE", reason: "A6 double vs 3–6." };
-      return { action: "HIT", reason: "Otherwise hit." };
-    }
-  }
-
-  // Hard totals
-  if (total >= 17) return { action: "STAND", reason: "Hard 17+ stand." };
-  if (total >= 13 && total <= 16) return d >= 2 && d <= 6 ? { action: "STAND", reason: "Hard 13–16 stand vs 2–6." } : { action: "HIT", reason: "Otherwise hit." };
-  if (total === 12) return d >= 4 && d <= 6 ? { action: "STAND", reason: "Hard 12 stand vs 4–6." } : { action: "HIT", reason: "Otherwise hit." };
-  if (total === 11) return { action: opts.canDouble ? "DOUBLE" : "HIT", reason: opts.canDouble ? "Hard 11 double vs any." : "Double not available: hit." };
-  if (total === 10) return { action: d >= 2 && d <= 9 && opts.canDouble ? "DOUBLE" : "HIT", reason: d >= 2 && d <= 9 ? "Hard 10 double vs 2–9." : "Otherwise hit." };
-  if (total === 9)  return { action: d >= 3 && d <= 6 && opts.canDouble ? "DOUBLE" : "HIT", reason: d >= 3 && d <= 6 ? "Hard 9 double vs 3–6." : "Otherwise hit." };
-  return { action: "HIT", reason: "Hard 8 or less: hit." };
-}
-
 // ----------------------- Sound Effects (WebAudio) -----------------------
 function useSFX(enabled = true) {
   const ctxRef = useRef(null);
@@ -154,6 +42,7 @@ function useSFX(enabled = true) {
       case "flip": o.frequency.setValueAtTime(400, now); o.frequency.exponentialRampToValueAtTime(800, now + 0.08); g.gain.setValueAtTime(0.0001, now); g.gain.exponentialRampToValueAtTime(0.25, now + 0.02); g.gain.exponentialRampToValueAtTime(0.001, now + 0.15); break;
       case "win": o.frequency.setValueAtTime(523, now); o.frequency.exponentialRampToValueAtTime(880, now + 0.2); g.gain.setValueAtTime(0.0001, now); g.gain.exponentialRampToValueAtTime(0.3, now + 0.02); g.gain.exponentialRampToValueAtTime(0.001, now + 0.35); break;
       case "lose": o.frequency.setValueAtTime(200, now); o.frequency.exponentialRampToValueAtTime(120, now + 0.15); g.gain.setValueAtTime(0.0001, now); g.gain.exponentialRampToValueAtTime(0.25, now + 0.02); g.gain.exponentialRampToValueAtTime(0.001, now + 0.2); break;
+      case "shuffle": o.type = "triangle"; o.frequency.setValueAtTime(300, now); o.frequency.linearRampToValueAtTime(450, now + 0.3); g.gain.setValueAtTime(0.0001, now); g.gain.exponentialRampToValueAtTime(0.12, now + 0.05); g.gain.exponentialRampToValueAtTime(0.001, now + 0.35); break;
       case "push": o.frequency.setValueAtTime(500, now); g.gain.setValueAtTime(0.0001, now); g.gain.exponentialRampToValueAtTime(0.2, now + 0.02); g.gain.exponentialRampToValueAtTime(0.001, now + 0.12); break;
     }
     o.start(); o.stop(ctx.currentTime + 0.4);
@@ -214,276 +103,576 @@ const Chip = ({ value = 25, onClick }) => {
   );
 };
 
+// Countdown for a timed decision; remount (via key) to restart it
+const TimeBar = ({ seconds }) => (
+  <div className="mt-2 h-1 rounded-full bg-white/10 overflow-hidden" title={`${seconds}s to decide`}>
+    <motion.div className="h-full bg-amber-400" initial={{ width: "100%" }} animate={{ width: "0%" }} transition={{ duration: seconds, ease: "linear" }} />
+  </div>
+);
+
+// Bankroll after each round (oldest first): dashed lines at reshuffles, gold dots for blackjacks,
+// green/red dots for big swings
+const BankrollChart = ({ points }) => {
+  const W = 640; const H = 200; const PAD = 8;
+  const values = points.map((p) => p.bankroll);
+  const lo = Math.min(...values); const span = Math.max(...values) - lo || 1;
+  const x = (i) => PAD + (i / Math.max(points.length - 1, 1)) * (W - 2 * PAD);
+  const y = (v) => H - PAD - ((v - lo) / span) * (H - 2 * PAD);
+  const line = points.map((p, i) => `${i ? "L" : "M"}${x(i).toFixed(1)},${y(p.bankroll).toFixed(1)}`).join(" ");
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+      {points.map((p, i) => p.shuffled && (
+        <line key={`shuffle-${i}`} x1={x(i)} x2={x(i)} y1={PAD} y2={H - PAD} stroke="rgba(255,255,255,0.25)" strokeDasharray="4 4"><title>Reshuffle</title></line>
+      ))}
+      <path d={line} fill="none" stroke="#34d399" strokeWidth="2" strokeLinejoin="round" />
+      {points.map((p, i) => (p.blackjack || p.bigSwing) && (
+        <circle key={`mark-${i}`} cx={x(i)} cy={y(p.bankroll)} r={p.bigSwing ? 4.5 : 3.5} fill={p.blackjack ? "#facc15" : p.net > 0 ? "#34d399" : "#fb7185"} stroke="#0f172a">
+          <title>{`${p.blackjack ? "Blackjack" : "Big swing"}: ${p.net >= 0 ? "+" : "-"}$${Math.abs(p.net)} → $${p.bankroll}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
 // ----------------------- Main Component -----------------------
+// Pauses before each automatic engine step, so cards and flips can animate
+const STEP_DELAYS = { dealing: 350, dealer: 1000, settling: 600 };
+
+// Sound for a state change: the round result, a hole-card flip, or a card dealt
+function sfxFor(prev, next) {
+  if (next.phase === "settle" && prev.phase !== "settle") return next.result.net > 0 ? "win" : next.result.net < 0 ? "lose" : "push";
+  if (prev.dealer.hideHole && !next.dealer.hideHole && next.dealer.cards.length === prev.dealer.cards.length) return "flip";
+  if (next.dealt > prev.dealt) return "deal";
+  return null;
+}
+
+// Save text as a file download
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
+}
+
+// localStorage, or null where the browser blocks it
+function browserStorage() {
+  try { return window.localStorage; } catch { return null; }
+}
+
+// Stats panel shading by accuracy (null: nothing played)
+const accuracyColor = (r) => (r === null ? "bg-white/5" : r >= 0.9 ? "bg-emerald-500/25" : r >= 0.75 ? "bg-amber-400/25" : "bg-rose-500/30");
+
+// Chart cell colors by play
+const CHART_COLORS = { H: "bg-rose-500/40", S: "bg-amber-400/40", D: "bg-emerald-500/40", P: "bg-sky-500/40", R: "bg-white/25" };
+
 export default function BlackjackTrainer() { // main component
-  const [shoe, setShoe] = useState(() => makeShoe(6));
-  const [bankroll, setBankroll] = useState(1000);
+  // Every shuffle draws from the game's seeded RNG, so a seed replays the same shoes
+  const [saved] = useState(() => loadSave(browserStorage())); // progress from the last visit
+  const [saveFailed, setSaveFailed] = useState(false); // storage blocked or full
+  const [newerSave, setNewerSave] = useState(saved.newerVersion || null); // version of a save left by a newer app: never written over
+  const [game, setGame] = useState(() => createGame({ rules: saved.settings.rules, bankroll: saved.bankroll }));
+  const gameRef = useRef(game); // latest state for handlers and timeouts
+  const [seedInput, setSeedInput] = useState("");
   const [bankrollDelta, setBankrollDelta] = useState(0);
-  const [muted, setMuted] = useState(false);
+  const [muted, setMuted] = useState(saved.settings.muted);
   const playSfx = useSFX(!muted);
 
-  const [bet, setBet] = useState(25);
-  const [autoDeal, setAutoDeal] = useState(true);
-  const [phase, setPhase] = useState("betting"); // betting | dealing | player | dealer | settle
-  const [dealer, setDealer] = useState({ cards: [], hideHole: true });
-  const [playerHands, setPlayerHands] = useState([]); // [{cards, bet, done, doubled, splitAces}]
-  const [active, setActive] = useState(0);
-  const [message, setMessage] = useState("");
+  const [bet, setBet] = useState(saved.settings.bet);
+  const [autoDeal, setAutoDeal] = useState(saved.settings.autoDeal);
+  const [pause, setPause] = useState(null); // null | shuffling | quiz, before the next deal
+  const [notice, setNotice] = useState("");
   const [correctness, setCorrectness] = useState(null); // {ok, text}
-  const [hint, setHint] = useState(null); // {action, reason}
+  const [hint, setHint] = useState(null); // {action, reason, evs}
   const [testOutput, setTestOutput] = useState(null);
+  const [showCount, setShowCount] = useState(saved.settings.showCount);
+  const [grading, setGrading] = useState(saved.settings.grading); // basic | index (count-adjusted plays)
+  const [quiz, setQuiz] = useState(saved.settings.quiz); // count-check quiz settings
+  const [quizAnswer, setQuizAnswer] = useState({ rc: "", tc: "" });
+  const [quizResult, setQuizResult] = useState(null); // {rcOk, tcOk, actual}
+  const [countStats, setCountStats] = useState({ quizzes: 0, rcCorrect: 0, tcCorrect: 0 }); // this session
   // Settings
   const [showSettings, setShowSettings] = useState(false);
-  const [allowedTypes, setAllowedTypes] = useState({ hard: true, soft: true, pairs: true });
+  const [allowedTypes, setAllowedTypes] = useState(saved.settings.allowedTypes);
+  const [dealMode, setDealMode] = useState(saved.settings.dealMode); // random | adaptive (weak cells more often)
+  const [srs, setSrs] = useState(saved.stats.srs); // spaced-repetition schedule per chart cell
+
+  // Drill mode: flashcard decisions with no play-out
+  const [drill, setDrill] = useState(false);
+  const [drillHand, setDrillHand] = useState(null); // {cards, up}
+  const [drillStats, setDrillStats] = useState(emptyDrillStats);
+  const [drillFeedback, setDrillFeedback] = useState(null); // {ok, text}
+  const drillRandRef = useRef(null);
+
+  // Decision timing
+  const [timeLimit, setTimeLimit] = useState(saved.settings.timeLimit); // seconds per decision, 0 = untimed
+  const [timing, setTiming] = useState(saved.stats.timing); // decision times, all sessions
+  const decisionRef = useRef(null); // {key, start, done} for the decision on screen
 
   // History
   const [showHistory, setShowHistory] = useState(false);
-  const [history, setHistory] = useState([]); // [{id, playerHands, dealerCards, results, totalBet, totalReturn, net, timestamp}]
-
-  // Hand identity to prevent stale timeouts from mutating a new hand
-  const handIdRef = useRef(0);
-  const nextHandId = () => ++handIdRef.current;
-
-  const shoeRef = useRef(shoe);
-  useEffect(() => { shoeRef.current = shoe; }, [shoe]);
-
-  // Keep ref in sync with playerHands to avoid stale closures in timeouts
-  const playerHandsRef = useRef(playerHands);
-  useEffect(() => { playerHandsRef.current = playerHands; }, [playerHands]);
-
-  // Draw from shoe; keep ref + state in sync so multiple draws in one tick see latest state
-  const draw = () => {
-    let s = shoeRef.current;
-    if (!s || s.length < 52) s = makeShoe(6);
-    const c = s.pop();
-    shoeRef.current = s; // mutate ref first
-    setShoe(s.slice()); // clone for React state
-    return c;
+  const [history, setHistory] = useState(saved.history); // [{id, playerHands, dealerCards, results, totalBet, totalReturn, net, decisions, timestamp}]
+  const [historyNotice, setHistoryNotice] = useState("");
+  const [replay, setReplay] = useState(null); // {entry, frames, step} for the round being replayed
+  const roundLogRef = useRef([]); // graded decisions of the round in play
+  const freshShoeRef = useRef(false); // the round in play is the first from its shoe
+  const sessionRef = useRef(Date.now()); // marks this session's history entries
+
+  // Bankroll chart
+  const [showBankroll, setShowBankroll] = useState(false);
+  const [bankrollZoom, setBankrollZoom] = useState("session"); // a key of BANKROLL_ZOOMS
+
+  // Stats
+  const [showStats, setShowStats] = useState(false);
+  const [statsScope, setStatsScope] = useState("session"); // session | all
+  const [sessionStats, setSessionStats] = useState(emptyStats);
+  const [allStats, setAllStats] = useState(saved.stats.play);
+
+  // Simulator (runs in a Web Worker)
+  const [showSim, setShowSim] = useState(false);
+  const [simRounds, setSimRounds] = useState(SIM_ROUNDS[1]);
+  const [sim, setSim] = useState(null); // {running, total, seed, label, summary}
+  const simWorkerRef = useRef(null);
+
+  // Strategy chart
+  const [showChart, setShowChart] = useState(false);
+  const [chartCell, setChartCell] = useState(null); // {table, key, d} clicked for its reason
+  const [charts, setCharts] = useState(saved.charts); // custom charts by name: cell overrides on the rule chart
+  const [activeChart, setActiveChart] = useState(saved.activeChart); // "" = the chart for the table rules
+  const [editChart, setEditChart] = useState(false);
+  const [newChartName, setNewChartName] = useState("");
+  const [chartNotice, setChartNotice] = useState("");
+  const customChart = charts[activeChart] || null;
+
+  const { rules, bankroll, dealer, hands: playerHands, active } = game;
+  const phase = pause || game.phase; // betting | shuffling | quiz | dealing | insurance | player | dealer | settling | settle
+
+  // Apply an engine action; sounds, the bankroll delta and history follow from the change
+  const update = (action) => {
+    const prev = gameRef.current;
+    const next = action(prev);
+    if (next === prev) return;
+    gameRef.current = next;
+    setGame(next);
+    const sfx = sfxFor(prev, next);
+    if (sfx) playSfx(sfx);
+    if (next.round !== prev.round) {
+      roundLogRef.current = [];
+      freshShoeRef.current = prev.dealt === 0;
+    }
+    if (next.phase === "settle" && prev.phase !== "settle") {
+      setBankrollDelta(next.result.net);
+      const now = new Date();
+      const entry = historyEntry(next.result, roundLogRef.current, {
+        id: now.getTime(), timestamp: now.toISOString(), session: sessionRef.current, bankroll: next.bankroll, shuffled: freshShoeRef.current,
+      });
+      setHistory((h) => [entry, ...h]);
+      setSessionStats((st) => addRound(st, entry));
+      setAllStats((st) => addRound(st, entry));
+    } else if (next.bankroll !== prev.bankroll) setBankrollDelta(next.bankroll - prev.bankroll);
   };
 
+  // Automatic phases (dealing, dealer, settling) advance after a short pause
+  useEffect(() => {
+    const delay = STEP_DELAYS[game.phase];
+    if (delay === undefined) return;
+    const t = setTimeout(() => update(step), delay);
+    return () => clearTimeout(t);
+  }, [game.phase, game.round]);
+
+  const handsSinceQuizRef = useRef(0);
+
+  // Update a single table rule between rounds; a new deck count means a fresh shoe
+  const updateRule = (key, value) => update((g) => setRules(g, { ...g.rules, [key]: value }));
+
   const resetTable = () => {
-    setDealer({ cards: [], hideHole: true });
-    setPlayerHands([]);
-    setActive(0);
+    setPause(null);
+    update(clearTable);
     setCorrectness(null);
     setHint(null);
-    setMessage("");
+    setNotice("");
+  };
+
+  // Restart the session from a seed: fresh bankroll and shoe, same cards for the same moves
+  const startSession = (nextSeed, nextRules = gameRef.current.rules) => {
+    const next = createGame({ rules: nextRules, seed: nextSeed });
+    gameRef.current = next; setGame(next);
+    setSeedInput("");
+    setPause(null); setCorrectness(null); setHint(null); setNotice("");
+    setBankrollDelta(0);
+    setSessionStats(emptyStats());
+    sessionRef.current = Date.now();
+    handsSinceQuizRef.current = 0;
+  };
+
+  // The play grading expects: the chart, or the count-adjusted play when grading by index
+  const decide = (cards, up, opts) => {
+    const g = gameRef.current;
+    return indexStrategyDecision(cards, up, grading === "index" ? currentTrueCount(g) : null, opts, g.rules, customChart);
   };
+  const recommendedPlay = (hand) => decide(hand.cards, gameRef.current.dealer.cards[0], decisionOptions(gameRef.current, hand));
 
   // Show hint for current hand
   const showHint = () => {
-    const hand = playerHands[active];
+    const hand = activeHand(gameRef.current);
     if (!hand) return;
-    const dealerUp = dealer.cards[0];
-    const firstMove = hand.cards.length === 2 && !hand.doubled && !hand.done;
-    const strat = basicStrategyDecision(hand.cards, dealerUp, { canDouble: canDouble(hand, firstMove), canSplit: canSplit(hand) });
-    setHint({ action: strat.action, reason: strat.reason });
+    const strat = recommendedPlay(hand);
+    setHint({ action: strat.action, reason: strat.reason, evs: handEvs(gameRef.current) });
+    if (decisionRef.current) decisionRef.current.hinted = true;
   };
 
-  const startHand = () => {
-    if (bet <= 0 || bet > bankroll) return;
-    if (!allowedTypes.hard && !allowedTypes.soft && !allowedTypes.pairs) { setMessage("Select at least one hand type in Settings."); return; }
-    const id = nextHandId();
-    resetTable();
-    setPhase("dealing");
-
-    // Deal until the player's initial two-card hand matches one of the allowed types
-    let p1 = null;
-    for (let tries = 0; tries < 600; tries++) {
-      const a = draw();
-      const b = draw();
-      const candidate = [a, b];
-      const t = classifyInitialHand(candidate);
-      if (allowedTypes[t]) { p1 = candidate; break; }
-      // else burn these and continue
+  const startHand = (skipQuiz = false) => {
+    const g = gameRef.current;
+    if (bet <= 0 || bet > g.bankroll) return;
+    if (!canDeal(g, bet, allowedTypes)) { setNotice("Select at least one hand type in Settings."); return; }
+    // The cut card came out last round: shuffle, then deal (no count check on a fresh shoe)
+    if (needsShuffle(g)) {
+      resetTable();
+      setPause("shuffling");
+      setNotice("Cut card reached. Shuffling…");
+      playSfx("shuffle");
+      return;
     }
-    if (!p1) p1 = [draw(), draw()];
-
-    const d = [draw(), draw()];
-    playSfx("deal");
+    // Pause for a count check before the cards come out
+    const roll = nextRandom(g);
+    update(() => roll.state);
+    if (!skipQuiz && countQuizDue(handsSinceQuizRef.current, quiz, roll.value)) {
+      setQuizAnswer({ rc: "", tc: "" }); setQuizResult(null); setHint(null);
+      setPause("quiz");
+      return;
+    }
+    handsSinceQuizRef.current += 1;
+    setPause(null); setCorrectness(null); setHint(null); setNotice("");
+    if (dealMode === "adaptive") {
+      // Build the scheduled cell's starting hand from the shoe
+      const pick = nextRandom(gameRef.current); const cards = nextRandom(pick.state);
+      const start = startingCards(pickCell(srs, allowedTypes, pick.value), cards.value);
+      setSrs(advanceClock);
+      update(() => deal(cards.state, bet, allowedTypes, start));
+    } else update((s) => deal(s, bet, allowedTypes));
+  };
 
-    const initialHand = { cards: p1, bet, done: false, doubled: false, splitAces: isPair(p1) && p1[0].r === "A" && p1[1].r === "A" };
-    setPlayerHands([initialHand]);
-    setDealer({ cards: d, hideHole: true });
+  // Save progress after every change; a round still in play is saved with its stake back in the bankroll
+  const savedBankroll = game.bankroll + stakeInPlay(game);
+  useEffect(() => {
+    if (newerSave) return;
+    const ok = writeSave(browserStorage(), {
+      bankroll: savedBankroll,
+      settings: { bet, autoDeal, muted, allowedTypes, dealMode, rules, showCount, grading, quiz, timeLimit },
+      charts,
+      activeChart,
+      history,
+      stats: { srs, timing, play: allStats },
+    });
+    setSaveFailed(!ok);
+  }, [newerSave, savedBankroll, rules, bet, autoDeal, muted, allowedTypes, dealMode, showCount, grading, quiz, timeLimit, charts, activeChart, history, srs, timing, allStats]);
+
+  // Back to a first visit: default settings, fresh bankroll, no history, charts or stats
+  const resetAllData = () => {
+    if (!window.confirm("Delete your bankroll, history, settings, custom charts and stats? This can't be undone.")) return;
+    clearSave(browserStorage());
+    setNewerSave(null);
+    const { settings, ...fresh } = defaultSave();
+    stopSim(); setSim(null);
+    setDrill(false); setDrillStats(emptyDrillStats());
+    setBet(settings.bet); setAutoDeal(settings.autoDeal); setMuted(settings.muted);
+    setAllowedTypes(settings.allowedTypes); setDealMode(settings.dealMode);
+    setShowCount(settings.showCount); setGrading(settings.grading); setQuiz(settings.quiz); setTimeLimit(settings.timeLimit);
+    setCharts(fresh.charts); setActiveChart(fresh.activeChart); setEditChart(false);
+    setHistory(fresh.history); setSrs(fresh.stats.srs); setTiming(fresh.stats.timing); setAllStats(fresh.stats.play);
+    setCountStats({ quizzes: 0, rcCorrect: 0, tcCorrect: 0 });
+    startSession(randomSeed(), settings.rules);
+  };
 
-    // Lock bet amount immediately
-    setBankroll((b) => b - bet);
-    setBankrollDelta(-bet);
+  useEffect(() => {
+    if (pause !== "shuffling") return;
+    const t = setTimeout(() => { update(shuffleShoe); setPause(null); startHand(true); }, 1200);
+    return () => clearTimeout(t);
+  }, [pause]);
+
+  // Auto-deal the next hand once a round has settled
+  useEffect(() => {
+    if (game.phase !== "settle" || !autoDeal || drill) return;
+    const t = setTimeout(() => startHand(), 1200);
+    return () => clearTimeout(t);
+  }, [game.phase, game.round, autoDeal, drill]);
+
+  const submitQuiz = () => {
+    const g = gameRef.current;
+    const actual = { rc: g.runningCount, tc: Math.round(currentTrueCount(g) * 10) / 10 };
+    const guess = { rc: parseFloat(quizAnswer.rc) || 0, tc: parseFloat(quizAnswer.tc) || 0 };
+    const res = scoreCountQuiz(guess, actual, quiz);
+    setQuizResult({ ...res, actual });
+    setCountStats((prev) => ({ quizzes: prev.quizzes + 1, rcCorrect: prev.rcCorrect + (res.rcOk ? 1 : 0), tcCorrect: prev.tcCorrect + (res.tcOk ? 1 : 0) }));
+    handsSinceQuizRef.current = 0;
+  };
 
-    setTimeout(() => {
-      if (handIdRef.current !== id) return; // stale timeout
-      setPhase("player");
-      const playerBJ = isBlackjack(p1); const dealerBJ = isBlackjack(d);
-      if (playerBJ || dealerBJ) { revealDealer(() => resolveRound(id, d), id); }
-    }, 350);
+  // Insurance / even money decision while the dealer shows an Ace
+  const insuranceChoice = (take) => (take ? "INSURE" : "DECLINE");
+
+  // Insurance / even money is timed and graded like a play, without a chart cell. take is null when the time ran out.
+  const assessInsurance = (take, ms) => {
+    const g = gameRef.current;
+    const strat = insuranceDecision(grading === "index" ? currentTrueCount(g) : null);
+    const late = take === null || timedOut(ms, timeLimit);
+    const ok = !late && strat.take === take;
+    setTiming((prev) => recordDecisionTime(prev, "insurance", null, late ? timeLimit * 1000 : ms));
+    decisionRef.current.logIndex = roundLogRef.current.length;
+    roundLogRef.current = [...roundLogRef.current, logDecision({
+      hand: 0, cards: g.hands[0].cards, up: g.dealer.cards[0], action: take === null ? null : insuranceChoice(take), recommended: insuranceChoice(strat.take),
+      reason: strat.reason, ok, timedOut: late,
+    })];
+    setCorrectness({ ok, text: late ? `Time's up (${timeLimit}s) – ${strat.reason}` : `${ok ? "Correct" : "Incorrect"} in ${formatSeconds(ms)} – ${strat.reason}` });
   };
 
-  const revealDealer = (cb, expectedId) => {
-    if (expectedId && handIdRef.current !== expectedId) return;
-    setDealer((prev) => ({ ...prev, hideHole: false }));
-    playSfx("flip");
-    const id = handIdRef.current;
-    setTimeout(() => { if (!expectedId || handIdRef.current === id) cb && cb(); }, 600);
+  const decideInsurance = (take) => {
+    const g = gameRef.current;
+    if (g.phase !== "insurance") return;
+    const ms = takeDecisionTime();
+    if (ms !== null) assessInsurance(take, ms);
+    else if (decisionRef.current && decisionRef.current.logIndex !== undefined) {
+      // Already logged as out of time: note the choice that followed
+      const i = decisionRef.current.logIndex;
+      roundLogRef.current = roundLogRef.current.map((d, j) => (j === i ? { ...d, action: insuranceChoice(take) } : d));
+    }
+    update((s) => insure(s, take));
   };
 
-  const canHit = (hand) => {
-    const { total } = handTotal(hand.cards);
-    if (hand.done) return false;
-    if (hand.splitAces) return false; // split Aces receive one card only
-    return total < 21;
+  // Time taken on the decision on screen; null once it has been graded (e.g. it ran out of time)
+  const takeDecisionTime = () => {
+    const d = decisionRef.current;
+    if (!d || d.done) return null;
+    d.done = true;
+    return performance.now() - d.start;
   };
 
-  const canDouble = (hand, isFirst) => {
-    if (hand.splitAces) return false;
-    if (!isFirst) return false;
-    if (bankroll < hand.bet) return false;
-    return true; // DAS allowed
+  // Record a graded decision against its chart cell; running out of time is recorded at the limit
+  const recordDecision = (cell, ok, ms, late) => {
+    const id = cellId(cell);
+    setSrs((prev) => recordReview(prev, id, ok));
+    setTiming((prev) => recordDecisionTime(prev, cell.table, id, late ? timeLimit * 1000 : ms));
   };
 
-  const canSplit = (hand) => isPair(hand.cards) && bankroll >= hand.bet;
+  // Strategy correctness feedback; a wrong move also shows what it cost against the shoe as it stands.
+  // action is null when the time ran out.
+  const assessAction = (hand, action, ms) => {
+    const g = gameRef.current;
+    const strat = recommendedPlay(hand);
+    const late = !action || timedOut(ms, timeLimit);
+    const ok = !late && strat.action === action;
+    const cell = { ...strategyRowFor(hand.cards, decisionOptions(g, hand).canSplit), up: upcardValue(g.dealer.cards[0]) };
+    recordDecision(cell, ok, ms, late);
+    decisionRef.current.logIndex = roundLogRef.current.length;
+    roundLogRef.current = [...roundLogRef.current, logDecision({
+      hand: g.active, cards: hand.cards, up: g.dealer.cards[0], action, recommended: strat.action, reason: strat.reason, ok,
+      cell: cellId(cell), hinted: !!decisionRef.current.hinted, timedOut: late,
+    })];
+    let text = late ? `Time's up (${timeLimit}s) – ${strat.reason}` : `${ok ? "Correct" : "Incorrect"} in ${formatSeconds(ms)} – ${strat.reason}`;
+    if (!ok && !late) {
+      const evs = handEvs(g);
+      const right = evs[strat.action]; const chosen = evs[action];
+      if (right !== null && chosen !== null) {
+        text += right >= chosen
+          ? ` Cost: ${formatEv(right - chosen, false)} per $1 (${strat.action} ${formatEv(right)} vs ${action} ${formatEv(chosen)}).`
+          : ` In this shoe ${action} is worth ${formatEv(chosen - right, false)} more per $1 (${formatEv(chosen)} vs ${formatEv(right)}).`;
+      }
+    }
+    setCorrectness({ ok, text });
+  };
 
-  const activeHand = playerHands[active];
+  // Player actions: grade against the recommended play, then let the engine apply it
+  const act = (action) => {
+    const g = gameRef.current;
+    const hand = activeHand(g);
+    if (!hand || !availableActions(g)[action]) return;
+    const ms = takeDecisionTime();
+    if (ms !== null) assessAction(hand, action, ms);
+    else if (decisionRef.current && decisionRef.current.logIndex !== undefined) {
+      // Already logged as out of time: note the play that followed
+      const i = decisionRef.current.logIndex;
+      roundLogRef.current = roundLogRef.current.map((d, j) => (j === i ? { ...d, action } : d));
+    }
+    setHint(null);
+    update((s) => playerAction(s, action));
+  };
 
-  // Strategy correctness feedback
-  const assessAction = (hand, action) => {
-    const dealerUp = dealer.cards[0];
-    const firstMove = hand.cards.length === 2 && !hand.doubled && !hand.done;
-    const strat = basicStrategyDecision(hand.cards, dealerUp, { canDouble: canDouble(hand, firstMove), canSplit: canSplit(hand) });
-    const ok = strat.action === action;
-    setCorrectness({ ok, text: `${ok ? "Correct" : "Incorrect"} – ${strat.reason}` });
+  // Drills use their own RNG so they never disturb the seeded shoe
+  const nextDrill = () => {
+    if (!drillRandRef.current) drillRandRef.current = mulberry32(randomSeed());
+    const rand = drillRandRef.current;
+    let start = null;
+    if (dealMode === "adaptive") {
+      start = startingCards(pickCell(srs, allowedTypes, rand()), rand());
+      setSrs(advanceClock);
+    }
+    setDrillHand(drawDrillHand(allowedTypes, rand, start));
   };
 
-  // Player actions
-  const doHit = () => {
-    const hands = clone(playerHands); const h = hands[active];
-    assessAction(h, "HIT");
-    setHint(null);
-    h.cards.push(draw()); playSfx("deal");
-    const { total } = handTotal(h.cards);
-    if (total >= 21) { h.done = true; advanceHand(hands); }
-    else setPlayerHands(hands);
+  const toggleDrill = () => {
+    if (drill) { setDrill(false); return; }
+    if (!allowedTypes.hard && !allowedTypes.soft && !allowedTypes.pairs) { setNotice("Select at least one hand type in Settings."); return; }
+    setDrill(true); setDrillStats(emptyDrillStats()); setDrillFeedback(null);
+    nextDrill();
   };
 
-  const doStand = () => {
-    const hands = clone(playerHands); const h = hands[active];
-    assessAction(h, "STAND");
-    setHint(null);
-    h.done = true; advanceHand(hands);
+  // Grade against the active chart (no count: drills have no shoe), then straight to the next hand.
+  // action is null when the time ran out.
+  const answerDrill = (action) => {
+    const { cards, up } = drillHand;
+    const offered = drillActions(cards, rules);
+    if (action && !offered[action]) return;
+    const ms = takeDecisionTime();
+    if (ms === null) return;
+    const opts = { canDouble: offered.DOUBLE, canSplit: offered.SPLIT, canSurrender: offered.SURRENDER };
+    const strat = indexStrategyDecision(cards, up, null, opts, rules, customChart);
+    const late = !action || timedOut(ms, timeLimit);
+    const ok = !late && strat.action === action;
+    setDrillStats((prev) => scoreDrill(prev, classifyInitialHand(cards), ok));
+    recordDecision({ ...strategyRowFor(cards, opts.canSplit), up: upcardValue(up) }, ok, ms, late);
+    const verdict = late ? `Time's up (${timeLimit}s)` : `${ok ? "Correct" : "Incorrect"} in ${formatSeconds(ms)}`;
+    setDrillFeedback({ ok, text: `${verdict} – ${cards.map((c) => c.r).join(",")} vs ${up.r}: ${strat.reason}` });
+    nextDrill();
   };
 
-  const doDouble = () => {
-    const hands = clone(playerHands); const h = hands[active];
-    const first = h.cards.length === 2 && !h.doubled && !h.done;
-    if (!canDouble(h, first)) return;
-    assessAction(h, "DOUBLE");
-    setHint(null);
-    setBankroll((b) => b - h.bet); setBankrollDelta(-h.bet);
-    h.bet *= 2; h.doubled = true; h.cards.push(draw()); playSfx("deal"); h.done = true; advanceHand(hands);
+  // Out of time: a miss. At the table the hand still waits for a play, which isn't graded again.
+  const timeUp = () => {
+    if (drill) { answerDrill(null); return; }
+    if (gameRef.current.phase === "insurance") {
+      const ms = takeDecisionTime();
+      if (ms) assessInsurance(null, ms);
+      return;
+    }
+    const hand = activeHand(gameRef.current);
+    const ms = hand && takeDecisionTime();
+    if (ms) assessAction(hand, null, ms);
   };
 
-  const doSplit = () => {
-    const hands = clone(playerHands); const h = hands[active];
-    if (!canSplit(h)) return;
-    const isTenPair = isTenValueRank(h.cards[0].r) && isTenValueRank(h.cards[1].r); if (isTenPair) return; // UI hides, logic guards
-    assessAction(h, "SPLIT");
-    setHint(null);
-    setBankroll((b) => b - h.bet); setBankrollDelta(-h.bet);
-    const [c1, c2] = h.cards;
-    const h1 = { cards: [c1, draw()], bet: h.bet, done: false, doubled: false, splitAces: c1.r === "A" };
-    const h2 = { cards: [c2, draw()], bet: h.bet, done: false, doubled: false, splitAces: c2.r === "A" };
-    if (h1.splitAces) h1.done = true; if (h2.splitAces) h2.done = true;
-    hands.splice(active, 1, h1, h2); setPlayerHands(hands);
-    if (h1.done) advanceHand(hands);
+  // Custom charts: a new chart starts as a copy of the active one
+  const uniqueChartName = (name) => {
+    const base = name.trim() || "Custom chart";
+    let n = base; let i = 2;
+    while (charts[n]) n = `${base} (${i++})`;
+    return n;
   };
 
-  const advanceHand = (handsAfterChange) => {
-    const hands = handsAfterChange ? clone(handsAfterChange) : clone(playerHands);
-    let idx = active; while (idx < hands.length && hands[idx].done) idx++;
-    if (idx < hands.length) { setPlayerHands(hands); setActive(idx); return; }
-    // All hands done -> dealer turn
-    setPlayerHands(hands); setPhase("dealer"); const id = handIdRef.current; revealDealer(() => dealerPlayAndSettle(id), id);
+  const createChart = () => {
+    const name = uniqueChartName(newChartName);
+    setCharts((c) => ({ ...c, [name]: customChart || emptyOverrides() }));
+    setActiveChart(name); setEditChart(true); setNewChartName("");
+    setChartNotice(`Created "${name}". Click a cell, then pick its play.`);
   };
 
-  const dealerPlayAndSettle = (expectedId) => {
-    setTimeout(() => {
-      if (expectedId && handIdRef.current !== expectedId) return;
-
-      let finalDealerCards = null;
-      setDealer((prev) => {
-        if (expectedId && handIdRef.current !== expectedId) return prev;
-        let cards = prev.cards.slice();
-        let { total } = handTotal(cards);
-        while (total < 17) { cards.push(draw()); ({ total } = handTotal(cards)); }
-        finalDealerCards = cards;
-        return { cards, hideHole: false };
-      });
+  const deleteChart = () => {
+    setCharts(({ [activeChart]: _, ...rest }) => rest);
+    setActiveChart(""); setEditChart(false);
+    setChartNotice("");
+  };
 
-      setTimeout(() => {
-        if (!expectedId || handIdRef.current === expectedId) {
-          resolveRound(expectedId, finalDealerCards);
-        }
-      }, 400);
-    }, 450); // short pause before dealer plays
+  const editCell = (code) => {
+    const { table, key, d } = chartCell;
+    setCharts((c) => ({ ...c, [activeChart]: setOverride(c[activeChart], table, key, d, code) }));
   };
 
-  const settleHand = (hand, dealerCards) => {
-    const pt = handTotal(hand.cards).total; const dt = handTotal(dealerCards).total;
-    const playerBJ = isBlackjack(hand.cards); const dealerBJ = isBlackjack(dealerCards);
+  const exportChart = (format) => {
+    const name = activeChart || `Standard ${rulesLabel(rules).replace(/ • /g, " ")}`;
+    const file = name.replace(/[^\w-]+/g, "_").toLowerCase();
+    if (format === "csv") downloadFile(`${file}.csv`, chartToCSV(rules, customChart), "text/csv");
+    else downloadFile(`${file}.json`, chartToJSON(name, customChart || emptyOverrides()), "application/json");
+  };
 
-    // Blackjack resolution
-    if (playerBJ && !dealerBJ) {
-      const totalReturn = Math.floor(hand.bet * 2.5);
-      return { delta: totalReturn, text: `Blackjack! (You: ${pt}, Dealer: ${dt}) +$${totalReturn - hand.bet}` };
+  const importChart = async (file) => {
+    try {
+      const text = await file.text();
+      const imported = /\.csv$/i.test(file.name)
+        ? { name: file.name.replace(/\.csv$/i, ""), overrides: chartFromCSV(text, rules) }
+        : chartFromJSON(text);
+      const name = uniqueChartName(imported.name);
+      setCharts((c) => ({ ...c, [name]: imported.overrides }));
+      setActiveChart(name);
+      setChartNotice(`Imported "${name}" (${overrideCount(imported.overrides)} custom cells).`);
+    } catch (err) {
+      setChartNotice(`Import failed: ${err.message}`);
     }
-    if (playerBJ && dealerBJ) {
-      return { delta: hand.bet, text: `Push on Blackjack. (You: ${pt}, Dealer: ${dt})` };
+  };
+
+  const exportHistory = (format) => {
+    const file = `blackjack_history_${new Date().toISOString().slice(0, 10)}`;
+    if (format === "csv") downloadFile(`${file}.csv`, historyToCSV(history), "text/csv");
+    else downloadFile(`${file}.json`, historyToJSON(history), "application/json");
+  };
+
+  // Imported rounds are merged into the history and count toward all-time stats
+  const importHistory = async (file) => {
+    try {
+      const merged = mergeHistory(history, historyFromJSON(await file.text()));
+      setHistory(merged.history);
+      setAllStats((st) => merged.added.reduce(addRound, st));
+      setHistoryNotice(`Imported ${merged.added.length} round${merged.added.length === 1 ? "" : "s"}${merged.added.length ? "" : " (all already in the history)"}.`);
+    } catch (err) {
+      setHistoryNotice(`Import failed: ${err.message}`);
     }
+  };
 
-    // Busts
-    if (pt > 21) return { delta: 0, text: `Busted. (You: ${pt}, Dealer: ${dt}) -$${hand.bet}` };
-    if (dt > 21) return { delta: hand.bet * 2, text: `Dealer busts! (You: ${pt}, Dealer: ${dt}) +$${hand.bet}` };
+  // Rebuild a past round through the engine, one frame per decision
+  const openReplay = (entry) => {
+    try {
+      setReplay({ entry, frames: replayFrames(entry), step: 0 });
+      setHistoryNotice("");
+    } catch (err) {
+      setHistoryNotice(`Can't replay this round: ${err.message}`);
+    }
+  };
+  const replayTo = (i) => setReplay((r) => ({ ...r, step: Math.max(0, Math.min(i, r.frames.length - 1)) }));
 
-    // Compare
-    if (pt > dt) return { delta: hand.bet * 2, text: `You win! (You: ${pt}, Dealer: ${dt}) +$${hand.bet}` };
-    if (pt < dt) return { delta: 0, text: `You lose. (You: ${pt}, Dealer: ${dt}) -$${hand.bet}` };
-    return { delta: hand.bet, text: `Push. (You: ${pt}, Dealer: ${dt})` };
+  const stopSim = () => {
+    if (simWorkerRef.current) simWorkerRef.current.terminate();
+    simWorkerRef.current = null;
   };
 
-  const resolveRound = (expectedId, dealerCardsOverride = null) => {
-    if (expectedId && handIdRef.current !== expectedId) return;
-    const dCards = dealerCardsOverride || dealer.cards; let totalDelta = 0; const messages = []; const results = [];
-    const hands = playerHandsRef.current; // use ref to avoid stale closure
-    for (const h of hands) { const res = settleHand(h, dCards); totalDelta += res.delta; messages.push(res.text); results.push(res); }
-    const totalBet = hands.reduce((a, h) => a + h.bet, 0);
-    const net = totalDelta - totalBet;
-
-    // Record hand in history
-    const historyEntry = {
-      id: Date.now(),
-      playerHands: clone(hands),
-      dealerCards: clone(dCards),
-      results,
-      totalBet,
-      totalReturn: totalDelta,
-      net,
-      timestamp: new Date().toLocaleTimeString(),
+  // Simulate basic strategy under the current rules; progress arrives after each batch
+  const runSim = () => {
+    stopSim();
+    const seed = randomSeed();
+    const worker = new Worker(new URL("./blackjack_sim_worker.js", import.meta.url), { type: "module" });
+    simWorkerRef.current = worker;
+    setSim({ running: true, total: simRounds, seed, label: rulesLabel(rules), summary: null });
+    worker.onmessage = (e) => {
+      const { done, summary } = e.data;
+      setSim((s) => ({ ...s, running: !done, summary }));
+      if (done) stopSim();
     };
-    setHistory((prev) => [historyEntry, ...prev]);
+    worker.postMessage({ rules, rounds: simRounds, seed });
+  };
 
-    setMessage(messages.join("\n"));
-    if (net > 0) playSfx("win"); else if (net < 0) playSfx("lose"); else playSfx("push");
-    setBankroll((b) => b + totalDelta); setBankrollDelta(net);
-    setPhase("settle");
-    if (autoDeal) { const id = handIdRef.current; setTimeout(() => { if (handIdRef.current === id) startHand(); }, 1200); }
+  const cancelSim = () => {
+    stopSim();
+    setSim((s) => s && { ...s, running: false, cancelled: true });
   };
 
-  const showSplitButton = useMemo(() => {
-    const ah = playerHands[active]; if (!ah) return false; if (!isPair(ah.cards)) return false;
-    const isTenPair = isTenValueRank(ah.cards[0].r) && isTenValueRank(ah.cards[1].r); if (isTenPair) return false;
-    return canSplit(ah);
-  }, [playerHands, active, bankroll]);
+  useEffect(() => stopSim, []);
+
+  const actions = availableActions(game);
+  // Chart cell of the hand being played
+  const playing = activeHand(game);
+  const activeCell = playing ? { ...strategyRowFor(playing.cards, decisionOptions(game, playing).canSplit), d: upcardValue(dealer.cards[0]) } : null;
 
-  const isFirstAction = activeHand && activeHand.cards.length === 2 && !activeHand.doubled && !activeHand.done;
+  // The decision on screen: the drill card, or the active hand at the table (a split starts new decisions)
+  const decisionKey = drill
+    ? drillHand && drillHand.up.id
+    : phase === "player" && playing ? `${game.round}:${active}:${playerHands.length}:${playing.cards.length}`
+    : phase === "insurance" ? `${game.round}:insurance` : null;
+
+  // Start the clock on each new decision
+  useEffect(() => {
+    decisionRef.current = decisionKey ? { key: decisionKey, start: performance.now(), done: false } : null;
+  }, [decisionKey]);
+
+  // With a time limit, running out counts as a miss (a new limit applies to the time already taken)
+  useEffect(() => {
+    const d = decisionRef.current;
+    if (!d || d.done || !timeLimit) return;
+    const t = setTimeout(timeUp, Math.max(0, timeLimit * 1000 - (performance.now() - d.start)));
+    return () => clearTimeout(t);
+  }, [decisionKey, timeLimit]);
 
   // ------------------ Strategy Tests ------------------
   const runStrategyTests = () => {
@@ -510,7 +699,8 @@ export default function BlackjackTrainer() { // main component
     // Hard totals
     pushT("12 vs 4 (stand)", mk("7", "5", "4"), "STAND");
     pushT("16 vs 10 (hit)", mk("9", "7", "10"), "HIT");
-    pushT("11 vs A (double)", mk("6", "5", "A"), "DOUBLE");
+    pushT("11 vs 10 (double)", mk("6", "5", "10"), "DOUBLE");
+    pushT("11 vs A (hit, S17 multi-deck)", mk("6", "5", "A"), "HIT");
     pushT("10 vs 9 (double)", mk("6", "4", "9"), "DOUBLE");
     pushT("9 vs 3 (double)", mk("5", "4", "3"), "DOUBLE");
     pushT("8 vs 6 (hit)", mk("5", "3", "6"), "HIT");
@@ -552,16 +742,27 @@ export default function BlackjackTrainer() { // main component
     <div className="min-h-screen w-full bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 text-white p-4 sm:p-6">
       <div className="max-w-5xl mx-auto">
         <header className="flex items-center justify-between gap-2 mb-4">
-          <h1 className="text-xl sm:text-2xl font-bold">Blackjack Trainer — S17 • DAS • 3:2 BJ</h1>
+          <h1 className="text-xl sm:text-2xl font-bold">Blackjack Trainer — {rulesLabel(rules)}</h1>
           <div className="flex items-center gap-2">
             <button onClick={() => setShowHistory((v) => !v)} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 flex items-center gap-2"><History size={18} /> <span className="hidden sm:inline">History</span>{history.length > 0 && <span className="text-xs bg-white/20 px-1.5 py-0.5 rounded-full">{history.length}</span>}</button>
+            <button onClick={() => setShowBankroll((v) => !v)} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 flex items-center gap-2"><LineChart size={18} /> <span className="hidden sm:inline">Bankroll</span></button>
+            <button onClick={() => setShowStats((v) => !v)} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 flex items-center gap-2"><BarChart3 size={18} /> <span className="hidden sm:inline">Stats</span></button>
+            <button onClick={toggleDrill} className={`px-3 py-2 rounded-xl border border-white/10 flex items-center gap-2 ${drill ? "bg-amber-500/30" : "bg-white/10 hover:bg-white/15"}`}><Zap size={18} /> <span className="hidden sm:inline">{drill ? "Exit Drill" : "Drill"}</span></button>
+            <button onClick={() => setShowChart((v) => !v)} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 flex items-center gap-2"><LayoutGrid size={18} /> <span className="hidden sm:inline">Chart</span></button>
+            <button onClick={() => setShowSim((v) => !v)} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 flex items-center gap-2"><Activity size={18} /> <span className="hidden sm:inline">Simulate</span></button>
             <button onClick={() => setShowSettings((v) => !v)} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 flex items-center gap-2"><Settings size={18} /> <span className="hidden sm:inline">Settings</span></button>
             <button onClick={() => setMuted((m) => !m)} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 flex items-center gap-2">{muted ? <VolumeX size={18} /> : <Volume2 size={18} />} <span className="hidden sm:inline">Sound</span></button>
-            <button onClick={() => { const ns = makeShoe(6); shoeRef.current = ns; setShoe(ns); }} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 flex items-center gap-2" title="Shuffle shoe"><Shuffle size={18} /> <span className="hidden sm:inline">Shuffle</span></button>
+            <button onClick={() => update(shuffleShoe)} disabled={phase !== "betting" && phase !== "settle"} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 flex items-center gap-2 disabled:opacity-50" title="Shuffle shoe (between rounds)"><Shuffle size={18} /> <span className="hidden sm:inline">Shuffle</span></button>
             <button onClick={runStrategyTests} className="px-3 py-2 rounded-xl bg-emerald-500/20 hover:bg-emerald-500/30 border border-emerald-400/30 flex items-center gap-2"><CheckCircle2 size={18} /> <span className="hidden sm:inline">Run Strategy Tests</span></button>
           </div>
         </header>
 
+        {newerSave && (
+          <div className="mb-4 p-3 rounded-xl border border-rose-400/30 bg-rose-500/10 text-sm text-rose-200">
+            Your saved progress is from a newer version of the trainer, so this one won't save over it. Open it in the newer version to keep playing with it.
+          </div>
+        )}
+
         {/* Settings Panel */}
         {showSettings && (
           <div className="mb-4 rounded-2xl border border-white/10 bg-white/5 p-4">
@@ -583,26 +784,404 @@ export default function BlackjackTrainer() { // main component
             {!allowedTypes.hard && !allowedTypes.soft && !allowedTypes.pairs && (
               <div className="mt-3 text-xs text-rose-300">Select at least one type to enable dealing.</div>
             )}
+            <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+              <label className="flex items-center gap-2">
+                <span>Dealing</span>
+                <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={dealMode} onChange={(e) => setDealMode(e.target.value)}>
+                  <option value="random">Random from the shoe</option>
+                  <option value="adaptive">Adaptive (weak cells more often)</option>
+                </select>
+              </label>
+              <button onClick={() => setSrs(emptySrs())} className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/15 border border-white/10">Reset adaptive progress</button>
+            </div>
+            <div className="mt-1 text-xs text-white/60">Adaptive dealing picks a hand and upcard from a spaced-repetition schedule of every decision you've made, then builds that hand from the shoe. {Object.keys(srs.cells).length} cells tracked.</div>
+            {weakestCells(srs).length > 0 && (
+              <div className="mt-2 flex flex-wrap gap-2 text-xs">
+                <span className="text-white/60">Weakest:</span>
+                {weakestCells(srs).map((c) => (
+                  <span key={c.id} className="px-2 py-0.5 rounded-lg bg-rose-500/15 border border-rose-400/20">{cellLabel(c)} · {c.correct}/{c.seen}</span>
+                ))}
+              </div>
+            )}
+
+            <div className="font-semibold mt-4 mb-2">Decision Speed</div>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <label className="flex items-center gap-2">
+                <span>Time limit</span>
+                <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={timeLimit} onChange={(e) => setTimeLimit(Number(e.target.value))}>
+                  {TIME_LIMITS.map((t) => (<option key={t} value={t}>{t ? `${t}s per decision` : "Off"}</option>))}
+                </select>
+              </label>
+              <button onClick={() => setTiming(emptyTiming())} className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/15 border border-white/10">Reset times</button>
+            </div>
+            <div className="mt-1 text-xs text-white/60">Every play is timed, insurance and even money included, at the table and in drills. With a limit, running out of time counts as a miss.</div>
+            <div className="mt-2 flex flex-wrap gap-4 text-sm">
+              {TIMING_TYPES.map((t) => {
+                const { n, median, p90 } = timingSummary(timing)[t];
+                return (
+                  <div key={t}>
+                    <span className="text-white/60 capitalize">{t}:</span>{" "}
+                    {n ? <><span className="font-semibold">{formatSeconds(median)}</span> <span className="text-white/60">median · {formatSeconds(p90)} p90 ({n})</span></> : <span className="text-white/60">–</span>}
+                  </div>
+                );
+              })}
+            </div>
+            {hesitationCells(timing).length > 0 && (
+              <div className="mt-2 flex flex-wrap gap-2 text-xs">
+                <span className="text-white/60">Slowest:</span>
+                {hesitationCells(timing).map((c) => (
+                  <span key={c.id} className="px-2 py-0.5 rounded-lg bg-amber-500/15 border border-amber-400/20">{cellLabel(c)} · {formatSeconds(c.median)}</span>
+                ))}
+              </div>
+            )}
+
+            <div className="font-semibold mt-4 mb-2">Session Seed</div>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <span className="font-mono px-2 py-1 rounded-lg bg-white/10 border border-white/10" title="Share this seed to replay the same shoes">{game.seed}</span>
+              <input type="text" placeholder="Enter a seed" className="w-40 bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={seedInput} onChange={(e) => setSeedInput(e.target.value)} onKeyDown={(e) => { if (e.key === "Enter" && parseSeed(seedInput) !== null) startSession(parseSeed(seedInput)); }} />
+              <button onClick={() => startSession(parseSeed(seedInput))} disabled={parseSeed(seedInput) === null} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 disabled:opacity-50">Apply</button>
+              <button onClick={() => startSession(randomSeed())} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10">New random seed</button>
+            </div>
+            <div className="mt-1 text-xs text-white/60">Applying a seed restarts the session: bankroll, shoe and count. The same seed and the same moves replay the same cards.</div>
+
+            <div className="font-semibold mt-4 mb-2">Card Counting</div>
+            <label className="flex items-center gap-2 cursor-pointer select-none text-sm">
+              <input type="checkbox" className="accent-emerald-400" checked={showCount} onChange={(e) => setShowCount(e.target.checked)} />
+              <span>Show Hi-Lo count (running / true)</span>
+            </label>
+            <label className="flex items-center gap-2 text-sm mt-2">
+              <span>Grade decisions by</span>
+              <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={grading} onChange={(e) => setGrading(e.target.value)}>
+                <option value="basic">Basic strategy only</option>
+                <option value="index">True count (Illustrious 18 + Fab 4)</option>
+              </select>
+            </label>
+            <div className="flex flex-wrap items-center gap-4 text-sm mt-2">
+              <label className="flex items-center gap-2">
+                <span>Count quiz</span>
+                <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={quiz.mode} onChange={(e) => setQuiz((q) => ({ ...q, mode: e.target.value }))}>
+                  <option value="off">Off</option>
+                  <option value="every">Every N hands</option>
+                  <option value="random">Randomly (1 in N)</option>
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <span>N</span>
+                <input type="number" min={1} max={50} className="w-16 bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={quiz.every} onChange={(e) => setQuiz((q) => ({ ...q, every: Math.max(1, parseInt(e.target.value, 10) || 1) }))} />
+              </label>
+              <label className="flex items-center gap-2">
+                <span>RC tolerance ±</span>
+                <input type="number" min={0} step={1} className="w-16 bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={quiz.rcTolerance} onChange={(e) => setQuiz((q) => ({ ...q, rcTolerance: Math.max(0, parseFloat(e.target.value) || 0) }))} />
+              </label>
+              <label className="flex items-center gap-2">
+                <span>TC tolerance ±</span>
+                <input type="number" min={0} step={0.5} className="w-16 bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={quiz.tcTolerance} onChange={(e) => setQuiz((q) => ({ ...q, tcTolerance: Math.max(0, parseFloat(e.target.value) || 0) }))} />
+              </label>
+            </div>
+            {countStats.quizzes > 0 && (
+              <div className="mt-2 text-xs text-white/70">Session count accuracy: RC {countStats.rcCorrect}/{countStats.quizzes} • TC {countStats.tcCorrect}/{countStats.quizzes}</div>
+            )}
+
+            <div className="font-semibold mt-4 mb-2">Table Rules{!canChangeRules(game) && <span className="ml-2 text-xs font-normal text-white/60">(can be changed between rounds)</span>}</div>
+            <fieldset disabled={!canChangeRules(game)} className="flex flex-wrap items-center gap-4 text-sm disabled:opacity-50">
+              <label className="flex items-center gap-2">
+                <span>Decks</span>
+                <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={rules.decks} onChange={(e) => updateRule("decks", parseInt(e.target.value, 10))}>
+                  {[1, 2, 3, 4, 5, 6, 7, 8].map((n) => (<option key={n} value={n}>{n}</option>))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <span>Penetration</span>
+                <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={rules.penetration} onChange={(e) => updateRule("penetration", parseFloat(e.target.value))}>
+                  {PENETRATIONS.map((p) => (<option key={p} value={p}>{Math.round(p * 100)}%</option>))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <span>Dealer soft 17</span>
+                <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={rules.hitSoft17 ? "H17" : "S17"} onChange={(e) => updateRule("hitSoft17", e.target.value === "H17")}>
+                  <option value="S17">Stands (S17)</option>
+                  <option value="H17">Hits (H17)</option>
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <span>Double on</span>
+                <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={rules.doubleOn} onChange={(e) => updateRule("doubleOn", e.target.value)}>
+                  <option value="any">Any two cards</option>
+                  <option value="9-11">9–11 only</option>
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <span>Blackjack pays</span>
+                <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={rules.bjPayout} onChange={(e) => updateRule("bjPayout", e.target.value)}>
+                  {Object.keys(BJ_PAYOUTS).map((p) => (<option key={p} value={p}>{p}</option>))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <span>Surrender</span>
+                <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={rules.surrender} onChange={(e) => updateRule("surrender", e.target.value)}>
+                  <option value="none">None</option>
+                  <option value="late">Late (after peek)</option>
+                  <option value="early">Early (before peek)</option>
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <span>Hole card</span>
+                <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={rules.holeCard} onChange={(e) => updateRule("holeCard", e.target.value)}>
+                  <option value="peek">Dealer peeks</option>
+                  <option value="enhc">No hole card (ENHC)</option>
+                </select>
+              </label>
+              {rules.holeCard === "enhc" && (
+                <label className="flex items-center gap-2">
+                  <span>Vs dealer BJ</span>
+                  <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={rules.enhcLoss} onChange={(e) => updateRule("enhcLoss", e.target.value)}>
+                    <option value="all">Lose all bets</option>
+                    <option value="obo">Original bet only (OBO)</option>
+                  </select>
+                </label>
+              )}
+              <label className="flex items-center gap-2">
+                <span>Split up to</span>
+                <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={rules.maxHands} onChange={(e) => updateRule("maxHands", parseInt(e.target.value, 10))}>
+                  {[2, 3, 4].map((n) => (<option key={n} value={n}>{n} hands</option>))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer select-none">
+                <input type="checkbox" className="accent-emerald-400" checked={rules.das} onChange={(e) => updateRule("das", e.target.checked)} />
+                <span>Double after split</span>
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer select-none">
+                <input type="checkbox" className="accent-emerald-400" checked={rules.resplitAces} onChange={(e) => updateRule("resplitAces", e.target.checked)} />
+                <span>Re-split aces</span>
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer select-none">
+                <input type="checkbox" className="accent-emerald-400" checked={rules.hitSplitAces} onChange={(e) => updateRule("hitSplitAces", e.target.checked)} />
+                <span>Hit split aces</span>
+              </label>
+            </fieldset>
+
+            <div className="font-semibold mt-4 mb-2">Saved Data</div>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <button onClick={resetAllData} className="px-3 py-2 rounded-xl bg-rose-500/20 hover:bg-rose-500/30 border border-rose-400/30">Reset all data</button>
+            </div>
+            <div className={`mt-1 text-xs ${saveFailed || newerSave ? "text-rose-300" : "text-white/60"}`}>
+              {newerSave
+                ? `Your saved data is from a newer version of the trainer (save version ${newerSave}). It's left untouched and nothing is saved; reset all data to start saving here.`
+                : saveFailed
+                ? "This browser isn't letting the trainer save, so progress will be lost on reload."
+                : `Bankroll, settings, custom charts, history (last ${HISTORY_LIMIT.toLocaleString()} rounds) and stats are saved in this browser. A round in play is saved with its bet returned.`}
+            </div>
           </div>
         )}
 
+        {/* Bankroll Chart */}
+        {showBankroll && (() => {
+          const points = zoomSeries(bankrollSeries(history, savedBankroll), bankrollZoom, sessionRef.current);
+          const values = points.map((p) => p.bankroll);
+          return (
+            <div className="mb-4 rounded-2xl border border-white/10 bg-white/5 p-4">
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <div className="font-semibold flex items-center gap-2"><LineChart size={16} /> Bankroll</div>
+                <div className="flex items-center gap-1 text-sm">
+                  {Object.entries(BANKROLL_ZOOMS).map(([z, label]) => (
+                    <button key={z} onClick={() => setBankrollZoom(z)} className={`px-2 py-1 rounded-lg border border-white/10 ${bankrollZoom === z ? "bg-white/20" : "bg-white/5 hover:bg-white/10"}`}>{label}</button>
+                  ))}
+                </div>
+              </div>
+              {points.length < 2 ? (
+                <div className="text-sm text-white/60">Play a few rounds to see the chart.</div>
+              ) : (
+                <>
+                  <BankrollChart points={points} />
+                  <div className="mt-2 flex flex-wrap items-center gap-4 text-xs text-white/70">
+                    <span>{points.length} rounds · high ${Math.max(...values)} · low ${Math.min(...values)}</span>
+                    <span className="flex items-center gap-1"><span className="inline-block w-2.5 h-2.5 rounded-full bg-yellow-400" /> Blackjack</span>
+                    <span className="flex items-center gap-1"><span className="inline-block w-2.5 h-2.5 rounded-full bg-emerald-400" /><span className="inline-block w-2.5 h-2.5 rounded-full bg-rose-400" /> Swing of 2+ bets</span>
+                    <span className="flex items-center gap-1"><span className="inline-block w-3 border-t border-dashed border-white/50" /> Reshuffle</span>
+                  </div>
+                </>
+              )}
+            </div>
+          );
+        })()}
+
+        {/* Stats Panel */}
+        {showStats && (() => {
+          const st = statsScope === "session" ? sessionStats : allStats;
+          const pct = (count, n) => { const r = rate(count, n); return r === null ? "–" : `${Math.round(r * 100)}%`; };
+          const money = (v) => (v < 0 ? `-$${Math.abs(v)}` : `+$${v}`);
+          const results = (r) => (r.n ? `${r.win}W · ${r.push}P · ${r.loss}L (${money(r.net)})` : "–");
+          const tiles = [
+            ["Rounds", st.rounds],
+            ["Net", money(st.net)],
+            ["Win / push / loss", `${pct(st.hands.win, st.hands.n)} / ${pct(st.hands.push, st.hands.n)} / ${pct(st.hands.loss, st.hands.n)}`],
+            ["Blackjacks", `${st.blackjacks} (${pct(st.blackjacks, st.rounds)} of rounds)`],
+            ["Doubled hands", results(st.doubles)],
+            ["Split hands", results(st.splits)],
+            ["Decisions correct", `${pct(st.decisions.correct, st.decisions.n)} (${st.decisions.correct}/${st.decisions.n})`],
+            ["Hints used", `${st.decisions.hinted} (${pct(st.decisions.hinted, st.decisions.n)} of decisions)`],
+          ];
+          return (
+            <div className="mb-4 rounded-2xl border border-white/10 bg-white/5 p-4">
+              <div className="flex items-center justify-between mb-3">
+                <div className="font-semibold flex items-center gap-2"><BarChart3 size={16} /> Stats</div>
+                <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1 text-sm" value={statsScope} onChange={(e) => setStatsScope(e.target.value)}>
+                  <option value="session">This session</option>
+                  <option value="all">All time</option>
+                </select>
+              </div>
+              {st.rounds === 0 ? (
+                <div className="text-sm text-white/60">No rounds played {statsScope === "session" ? "this session" : "yet"}.</div>
+              ) : (
+                <>
+                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-sm">
+                    {tiles.map(([label, value]) => (
+                      <div key={label} className="rounded-xl bg-white/5 border border-white/10 p-2">
+                        <div className="text-xs text-white/60">{label}</div>
+                        <div className="font-semibold">{value}</div>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div className="mt-4 mb-1 text-sm font-semibold">Accuracy by hand type</div>
+                  <div className="grid grid-cols-3 gap-2 text-sm">
+                    {["hard", "soft", "pairs"].map((t) => {
+                      const { n, correct } = st.byType[t];
+                      return (
+                        <div key={t} className={`rounded-xl border border-white/10 p-2 ${accuracyColor(rate(correct, n))}`}>
+                          <div className="text-xs text-white/70 capitalize">{t}</div>
+                          <div className="font-semibold">{pct(correct, n)} <span className="text-xs font-normal text-white/60">({correct}/{n})</span></div>
+                        </div>
+                      );
+                    })}
+                  </div>
+
+                  <div className="mt-4 mb-1 text-sm font-semibold">Accuracy by dealer upcard</div>
+                  <div className="grid grid-cols-5 sm:grid-cols-10 gap-1 text-xs text-center">
+                    {UPCARDS.map((u) => {
+                      const { n, correct } = st.byUp[u] || { n: 0, correct: 0 };
+                      return (
+                        <div key={u} className={`rounded-lg border border-white/10 py-1 ${accuracyColor(rate(correct, n))}`} title={`${correct}/${n} correct`}>
+                          <div className="text-white/70">{upcardLabel(u)}</div>
+                          <div className="font-semibold">{pct(correct, n)}</div>
+                        </div>
+                      );
+                    })}
+                  </div>
+
+                  <div className="mt-4 mb-1 text-sm font-semibold">Weakest cells</div>
+                  {weakCells(st).length === 0 ? (
+                    <div className="text-xs text-white/60">No mistakes{statsScope === "session" ? " this session" : ""}.</div>
+                  ) : (
+                    <div className="flex flex-wrap gap-2 text-xs">
+                      {weakCells(st).map((c) => (
+                        <span key={c.id} className={`px-2 py-0.5 rounded-lg border border-white/10 ${accuracyColor(rate(c.correct, c.n))}`}>{cellLabel(c)} · {c.correct}/{c.n}</span>
+                      ))}
+                    </div>
+                  )}
+                </>
+              )}
+              <div className="mt-3 text-xs text-white/60">Table play only (drills keep their own score). The session starts on page load or a new seed.</div>
+            </div>
+          );
+        })()}
+
+        {/* Replay Panel */}
+        {replay && (() => {
+          const { entry, frames, step: at } = replay;
+          const { state: f, decision: d } = frames[at];
+          const last = frames.length - 1;
+          const mistakeAt = nextMistake(frames, at);
+          return (
+            <div className="mb-4 rounded-2xl border border-white/10 bg-white/5 p-4">
+              <div className="flex items-center justify-between mb-3">
+                <div className="font-semibold flex items-center gap-2"><History size={16} /> Replay <span className="text-xs font-normal text-white/60">{new Date(entry.timestamp).toLocaleString()}</span></div>
+                <button onClick={() => setReplay(null)} title="Close replay" className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/15 border border-white/10"><X size={14} /></button>
+              </div>
+              <div className="mb-3">
+                <div className="text-xs uppercase tracking-wide text-white/70 mb-2">Dealer</div>
+                <div className="flex items-center gap-2">
+                  {f.dealer.cards.map((c, i) => (<Card key={c.id} card={c} faceDown={i === 1 && f.dealer.hideHole} index={i} />))}
+                  <div className="ml-3 text-white/80 font-medium">Total: {f.dealer.hideHole ? "?" : handTotal(f.dealer.cards).total}</div>
+                </div>
+              </div>
+              <div className={`grid gap-3 ${f.hands.length > 1 ? "sm:grid-cols-2" : ""}`}>
+                {f.hands.map((h, idx) => {
+                  const isActive = d && d.hand === idx;
+                  return (
+                    <div key={idx} className={`rounded-xl p-3 border ${isActive ? "border-emerald-400/60 bg-emerald-500/10" : "border-white/10 bg-white/5"}`}>
+                      <div className="flex items-center justify-between mb-2 text-xs text-white/70">
+                        <div className="uppercase tracking-wide">Hand {f.hands.length > 1 ? `#${h.seat}` : ""}{h.splitFrom && <span className="ml-2 normal-case text-white/50">split from #{h.splitFrom}</span>}</div>
+                        <div>Bet: ${h.bet}{h.doubled ? " (doubled)" : ""}{h.surrendered ? " • Surrendered" : ""}</div>
+                      </div>
+                      <div className="flex flex-wrap items-center gap-2">
+                        {h.cards.map((c, i) => (<Card key={c.id} card={c} index={i} />))}
+                        <div className="ml-3 text-white/90 font-medium">Total: {handTotal(h.cards).total}</div>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+              <div className="mt-3 text-sm">
+                {d ? (
+                  <div className={`p-2 rounded-lg border ${d.ok ? "bg-emerald-500/10 border-emerald-400/20" : "bg-rose-500/10 border-rose-400/30"}`}>
+                    <div className="flex items-center gap-2">
+                      {d.ok ? <CheckCircle2 size={16} className="text-emerald-400" /> : <XCircle size={16} className="text-rose-400" />}
+                      <span>Played: <span className="font-semibold">{actionLabel(d.action)}</span>{d.timedOut ? " (too slow)" : ""}</span>
+                      <span className="text-white/70">• Recommended: <span className="font-semibold">{actionLabel(d.recommended)}</span>{d.hinted ? " (hint shown)" : ""}</span>
+                    </div>
+                    <div className="text-xs text-white/70 mt-1">{d.reason}</div>
+                  </div>
+                ) : at === last ? (
+                  <div className="text-xs text-white/70">
+                    {entry.results.map((r, i) => (<div key={i}>{r.text}</div>))}
+                    <div className={`mt-1 font-semibold ${entry.net > 0 ? "text-emerald-400" : entry.net < 0 ? "text-rose-400" : "text-white/70"}`}>Net: {entry.net > 0 ? `+$${entry.net}` : entry.net < 0 ? `-$${Math.abs(entry.net)}` : "Push"}</div>
+                  </div>
+                ) : (
+                  <div className="text-xs text-white/70">The deal. No decisions this round.</div>
+                )}
+              </div>
+              <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                <button onClick={() => replayTo(0)} disabled={at === 0} title="First step" className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/15 border border-white/10 disabled:opacity-50"><SkipBack size={14} /></button>
+                <button onClick={() => replayTo(at - 1)} disabled={at === 0} className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/15 border border-white/10 disabled:opacity-50 flex items-center gap-1"><ChevronLeft size={14} /> Back</button>
+                <button onClick={() => replayTo(at + 1)} disabled={at === last} className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/15 border border-white/10 disabled:opacity-50 flex items-center gap-1">Forward <ChevronRight size={14} /></button>
+                <button onClick={() => replayTo(mistakeAt)} disabled={mistakeAt < 0} className="px-3 py-1 rounded-lg bg-rose-500/20 hover:bg-rose-500/30 border border-rose-400/30 text-rose-300 disabled:opacity-50">Next mistake</button>
+                <span className="text-xs text-white/60">Step {at + 1} of {frames.length}</span>
+              </div>
+            </div>
+          );
+        })()}
+
         {/* History Panel */}
         {showHistory && (
           <div className="mb-4 rounded-2xl border border-white/10 bg-white/5 p-4 max-h-96 overflow-y-auto">
             <div className="flex items-center justify-between mb-3">
               <div className="font-semibold flex items-center gap-2"><History size={16} /> Hand History</div>
-              {history.length > 0 && (
-                <button onClick={() => setHistory([])} className="text-xs px-2 py-1 rounded-lg bg-rose-500/20 hover:bg-rose-500/30 border border-rose-400/30 text-rose-300">Clear History</button>
-              )}
+              <div className="flex flex-wrap items-center justify-end gap-2 text-xs">
+                {history.length > 0 && (
+                  <>
+                    <button onClick={() => exportHistory("json")} className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/15 border border-white/10">Export JSON</button>
+                    <button onClick={() => exportHistory("csv")} className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/15 border border-white/10">Export CSV</button>
+                  </>
+                )}
+                <label className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/15 border border-white/10 cursor-pointer">
+                  Import JSON
+                  <input type="file" accept=".json" className="hidden" onChange={(e) => { if (e.target.files[0]) importHistory(e.target.files[0]); e.target.value = ""; }} />
+                </label>
+                {history.length > 0 && (
+                  <button onClick={() => setHistory([])} className="px-2 py-1 rounded-lg bg-rose-500/20 hover:bg-rose-500/30 border border-rose-400/30 text-rose-300">Clear History</button>
+                )}
+              </div>
             </div>
+            {historyNotice && <div className="text-xs text-white/70 mb-3">{historyNotice}</div>}
             {history.length === 0 ? (
               <div className="text-sm text-white/60">No hands played yet.</div>
             ) : (
               <div className="space-y-3">
                 {history.map((entry) => (
-                  <div key={entry.id} className={`p-3 rounded-xl border ${entry.net > 0 ? "bg-emerald-500/10 border-emerald-400/20" : entry.net < 0 ? "bg-rose-500/10 border-rose-400/20" : "bg-white/5 border-white/10"}`}>
+                  <div key={entry.id} onClick={() => openReplay(entry)} title="Replay this round" className={`p-3 rounded-xl border cursor-pointer hover:border-white/30 ${entry.net > 0 ? "bg-emerald-500/10 border-emerald-400/20" : entry.net < 0 ? "bg-rose-500/10 border-rose-400/20" : "bg-white/5 border-white/10"}`}>
                     <div className="flex items-center justify-between mb-2">
-                      <div className="text-xs text-white/60">{entry.timestamp}</div>
+                      <div className="text-xs text-white/60">{new Date(entry.timestamp).toLocaleString()}</div>
                       <div className={`text-sm font-semibold ${entry.net > 0 ? "text-emerald-400" : entry.net < 0 ? "text-rose-400" : "text-white/70"}`}>
                         {entry.net > 0 ? `+$${entry.net}` : entry.net < 0 ? `-$${Math.abs(entry.net)}` : "Push"}
                       </div>
@@ -617,22 +1196,42 @@ export default function BlackjackTrainer() { // main component
                           <span className="ml-1 text-white/70">({handTotal(entry.dealerCards).total})</span>
                         </div>
                       </div>
-                      {entry.playerHands.map((h, idx) => (
-                        <div key={idx}>
-                          <div className="text-xs text-white/60 mb-1">Hand {entry.playerHands.length > 1 ? `#${idx + 1}` : ""} (Bet: ${h.bet})</div>
-                          <div className="flex items-center gap-1">
-                            {h.cards.map((c, i) => (
-                              <span key={i} className={`px-1.5 py-0.5 rounded bg-white/10 text-xs font-mono ${["♥", "♦"].includes(c.s) ? "text-red-400" : "text-white"}`}>{c.r}{c.s}</span>
-                            ))}
-                            <span className="ml-1 text-white/70">({handTotal(h.cards).total})</span>
+                      {entry.playerHands.map((h, idx) => {
+                        const decisions = handDecisions(entry, idx);
+                        const mistakes = countMistakes(decisions);
+                        return (
+                          <div key={idx}>
+                            <div className="text-xs text-white/60 mb-1">
+                              Hand {entry.playerHands.length > 1 ? `#${h.seat ?? idx + 1}` : ""} (Bet: ${h.bet}){h.splitFrom ? ` • Split from #${h.splitFrom}` : ""}{h.surrendered ? " • Surrendered" : ""}{h.evenMoney ? " • Even money" : ""}
+                              {mistakes > 0 && <span className="ml-1 text-rose-300">• {mistakes} mistake{mistakes > 1 ? "s" : ""}</span>}
+                            </div>
+                            <div className="flex items-center gap-1">
+                              {h.cards.map((c, i) => (
+                                <span key={i} className={`px-1.5 py-0.5 rounded bg-white/10 text-xs font-mono ${["♥", "♦"].includes(c.s) ? "text-red-400" : "text-white"}`}>{c.r}{c.s}</span>
+                              ))}
+                              <span className="ml-1 text-white/70">({handTotal(h.cards).total})</span>
+                            </div>
+                            {decisions.length > 0 && (
+                              <div className="mt-1 flex flex-wrap gap-1 text-xs">
+                                {decisions.map((d, i) => (
+                                  <span key={i} title={`${d.cards.map((c) => c.r).join(",")} vs ${d.up.r}: ${d.reason}`} className={`px-1.5 py-0.5 rounded border flex items-center gap-1 ${d.ok ? "border-emerald-400/20 text-emerald-300" : "border-rose-400/30 bg-rose-500/15 text-rose-300"}`}>
+                                    {d.ok ? <CheckCircle2 size={12} /> : <XCircle size={12} />}
+                                    {actionLabel(d.action)}{d.timedOut ? " (too slow)" : ""}{!d.ok && d.action !== d.recommended ? ` → ${actionLabel(d.recommended)}` : ""}
+                                  </span>
+                                ))}
+                              </div>
+                            )}
                           </div>
-                        </div>
-                      ))}
+                        );
+                      })}
                     </div>
                     <div className="mt-2 text-xs text-white/70">
                       {entry.results.map((r, i) => (
                         <div key={i}>{r.text}</div>
                       ))}
+                      {entry.insurance && (
+                        <div>Insurance ${entry.insurance.amount}: {entry.insurance.return > 0 ? `paid +$${entry.insurance.return - entry.insurance.amount}` : "lost"}</div>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -654,6 +1253,130 @@ export default function BlackjackTrainer() { // main component
           </div>
         )}
 
+        {/* Strategy Chart Panel */}
+        {showChart && (() => {
+          const grid = strategyGrid(rules, decide);
+          const picked = chartCell && grid[chartCell.table].find((row) => row.key === chartCell.key);
+          return (
+            <div className="mb-4 rounded-2xl border border-white/10 bg-white/5 p-4">
+              <div className="font-semibold mb-1 flex items-center gap-2"><LayoutGrid size={16} /> Strategy Chart</div>
+              <div className="text-sm text-white/80 mb-3">
+                {grading === "index" ? `Index plays at true count ${formatCount(Math.round(currentTrueCount(game) * 10) / 10)}` : "Basic strategy"} for {rulesLabel(rules)}{activeChart ? ` with "${activeChart}"` : ""}. The hand in play is outlined; click a cell for the reason. Hints and grading use the active chart.
+              </div>
+              <div className="flex flex-wrap items-center gap-2 text-sm mb-3">
+                <label className="flex items-center gap-2">
+                  <span>Chart</span>
+                  <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={activeChart} onChange={(e) => { setActiveChart(e.target.value); setEditChart(false); setChartNotice(""); }}>
+                    <option value="">Standard (table rules)</option>
+                    {Object.keys(charts).map((name) => (<option key={name} value={name}>{name}</option>))}
+                  </select>
+                </label>
+                {activeChart && (
+                  <>
+                    <button onClick={() => setEditChart((v) => !v)} className={`px-3 py-1 rounded-lg border border-white/10 ${editChart ? "bg-amber-500/30" : "bg-white/10 hover:bg-white/15"}`}>{editChart ? "Done editing" : "Edit"}</button>
+                    <button onClick={deleteChart} className="px-3 py-1 rounded-lg bg-rose-500/20 hover:bg-rose-500/30 border border-rose-400/30 text-rose-300">Delete</button>
+                  </>
+                )}
+                <input className="w-36 bg-slate-800 border border-white/10 rounded-lg px-2 py-1" placeholder="New chart name" value={newChartName} onChange={(e) => setNewChartName(e.target.value)} />
+                <button onClick={createChart} className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/15 border border-white/10">New chart</button>
+                <button onClick={() => exportChart("json")} className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/15 border border-white/10">Export JSON</button>
+                <button onClick={() => exportChart("csv")} className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/15 border border-white/10">Export CSV</button>
+                <label className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/15 border border-white/10 cursor-pointer">
+                  Import
+                  <input type="file" accept=".json,.csv" className="hidden" onChange={(e) => { if (e.target.files[0]) importChart(e.target.files[0]); e.target.value = ""; }} />
+                </label>
+              </div>
+              {chartNotice && <div className="text-xs text-white/70 mb-3">{chartNotice}</div>}
+              <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+                {[["hard", "Hard"], ["soft", "Soft"], ["pairs", "Pairs"]].map(([table, title]) => (
+                  <table key={table} className="text-xs border-separate border-spacing-0.5 self-start">
+                    <thead>
+                      <tr>
+                        <th className="text-left font-semibold pr-2">{title}</th>
+                        {UPCARDS.map((d) => (<th key={d} className="w-6 text-white/70 font-medium">{upcardLabel(d)}</th>))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {grid[table].map((row) => (
+                        <tr key={row.key}>
+                          <td className="pr-2 whitespace-nowrap text-white/80">{row.label}</td>
+                          {UPCARDS.map((d) => {
+                            const cell = row.cells[d];
+                            const isActive = activeCell && activeCell.table === table && activeCell.key === row.key && activeCell.d === d;
+                            const isPicked = chartCell && chartCell.table === table && chartCell.key === row.key && chartCell.d === d;
+                            const isCustom = !!customChart?.[table][row.key]?.[d];
+                            return (
+                              <td key={d} onClick={() => setChartCell({ table, key: row.key, d })} className={`w-6 h-6 text-center font-semibold rounded cursor-pointer ${CHART_COLORS[cell.letter]} ${isCustom ? "underline decoration-2" : ""} ${isActive ? "ring-2 ring-white" : isPicked ? "ring-2 ring-white/50" : ""}`}>
+                                {cell.letter}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ))}
+              </div>
+              <div className="mt-3 text-sm text-white/80 min-h-[20px]">
+                {picked ? `${picked.label} vs ${upcardLabel(chartCell.d)}: ${picked.cells[chartCell.d].reason}` : `H hit • S stand • D double • P split • R surrender${customChart ? " • underlined cells are custom" : ""}`}
+              </div>
+              {editChart && customChart && chartCell && (
+                <div className="mt-2 flex flex-wrap items-center gap-1 text-xs">
+                  <span className="mr-1 text-white/70">Play for {picked.label} vs {upcardLabel(chartCell.d)}:</span>
+                  {CUSTOM_CODES.filter((code) => code !== "P" || canSplitRow(chartCell.table, chartCell.key)).map((code) => (
+                    <button key={code} onClick={() => editCell(code)} className={`px-2 py-1 rounded-lg border border-white/10 ${customChart[chartCell.table][chartCell.key]?.[chartCell.d] === code ? "bg-amber-500/40" : "bg-white/10 hover:bg-white/15"}`}>{code}</button>
+                  ))}
+                  <button onClick={() => editCell(null)} className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/15 border border-white/10">Rule default</button>
+                  <span className="ml-2 text-white/50">Ds double else stand • R/Rs/Rp surrender else hit/stand/split</span>
+                </div>
+              )}
+            </div>
+          );
+        })()}
+
+        {/* Simulator Panel */}
+        {showSim && (
+          <div className="mb-4 rounded-2xl border border-white/10 bg-white/5 p-4">
+            <div className="font-semibold mb-2 flex items-center gap-2"><Activity size={16} /> Simulator</div>
+            <div className="text-sm text-white/80 mb-3">Plays basic strategy under the current rules ({rulesLabel(rules)}) with the same shoe, cut card and settlement as the table. Insurance is always declined.</div>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <label className="flex items-center gap-2">
+                <span>Rounds</span>
+                <select className="bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={simRounds} disabled={sim?.running} onChange={(e) => setSimRounds(parseInt(e.target.value, 10))}>
+                  {SIM_ROUNDS.map((n) => (<option key={n} value={n}>{n.toLocaleString()}</option>))}
+                </select>
+              </label>
+              {sim?.running ? (
+                <button onClick={cancelSim} className="px-3 py-2 rounded-xl bg-rose-500/20 hover:bg-rose-500/30 border border-rose-400/30 text-rose-300">Cancel</button>
+              ) : (
+                <button onClick={runSim} className="px-3 py-2 rounded-xl bg-emerald-500 hover:bg-emerald-600 border border-emerald-400 text-slate-900 font-semibold flex items-center gap-2"><Play size={16} /> Run</button>
+              )}
+            </div>
+            {sim && (
+              <div className="mt-3">
+                <div className="h-2 rounded-full bg-white/10 overflow-hidden">
+                  <div className="h-full bg-emerald-400" style={{ width: `${((sim.summary?.rounds || 0) / sim.total) * 100}%` }} />
+                </div>
+                <div className="mt-1 text-xs text-white/60">
+                  {(sim.summary?.rounds || 0).toLocaleString()} / {sim.total.toLocaleString()} rounds • {sim.label} • seed {sim.seed}{sim.cancelled ? " • cancelled" : ""}
+                </div>
+                {sim.summary && (
+                  <div className="mt-3 grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+                    <div><div className="text-white/60 text-xs">House edge</div><div className="font-semibold">{(sim.summary.houseEdge * 100).toFixed(2)}% <span className="text-xs text-white/60">± {(sim.summary.stdError * 200).toFixed(2)}</span></div></div>
+                    <div><div className="text-white/60 text-xs">SD per round</div><div className="font-semibold">{sim.summary.sd.toFixed(3)} units</div></div>
+                    <div><div className="text-white/60 text-xs">Bet per round</div><div className="font-semibold">{sim.summary.betUnits.toFixed(3)} units</div></div>
+                    <div><div className="text-white/60 text-xs">Doubles / splits</div><div className="font-semibold">{(sim.summary.doubleRate * 100).toFixed(1)}% / {(sim.summary.splitRate * 100).toFixed(1)}%</div></div>
+                    {SIM_OUTCOMES.map((o) => (
+                      <div key={o}><div className="text-white/60 text-xs">{o.replace("_", " ")}</div><div className="font-semibold">{(sim.summary.outcomes[o] * 100).toFixed(2)}%</div></div>
+                    ))}
+                  </div>
+                )}
+                {sim.summary && <div className="mt-2 text-xs text-white/50">± is two standard errors. Outcome shares are per player hand; doubles and splits per round.</div>}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Bankroll */}
         <div className="flex items-center justify-between gap-4 mb-3">
           <div className="flex items-center gap-3">
@@ -667,14 +1390,77 @@ export default function BlackjackTrainer() { // main component
               )}
             </AnimatePresence>
           </div>
+          {showCount && phase !== "quiz" && (
+            <div className="text-sm font-mono px-3 py-1 rounded-lg bg-white/10 border border-white/10" title="Hi-Lo running count / true count">
+              RC {formatCount(game.runningCount)} • TC {formatCount(Math.round(currentTrueCount(game) * 10) / 10)} • {(cardsLeft(game) / 52).toFixed(1)} decks left
+            </div>
+          )}
           <label className="flex items-center gap-2 cursor-pointer select-none">
             <input type="checkbox" className="accent-emerald-400" checked={autoDeal} onChange={(e) => setAutoDeal(e.target.checked)} />
             <span className="text-sm">Auto-deal next hand</span>
           </label>
         </div>
 
-        {/* Table area */}
-        <div className="rounded-2xl border border-white/10 bg-emerald-900/20 p-4 sm:p-6 shadow-inner">
+        {/* Drill */}
+        {drill && drillHand && (() => {
+          const offered = drillActions(drillHand.cards, rules);
+          return (
+            <div className="mb-4 rounded-2xl border border-white/10 bg-emerald-900/20 p-4 sm:p-6 shadow-inner">
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                <div className="font-semibold flex items-center gap-2"><Zap size={16} /> Drill — {activeChart ? `"${activeChart}"` : "basic strategy"}, {rulesLabel(rules)}</div>
+                <div className="text-sm">Streak <span className="font-semibold">{drillStats.streak}</span> <span className="text-white/60">(best {drillStats.best})</span></div>
+              </div>
+              <div className="flex flex-wrap items-end gap-8">
+                <div>
+                  <div className="text-sm uppercase tracking-wide text-white/70 mb-2">Dealer</div>
+                  <div className="flex gap-2"><Card key={drillHand.up.id} card={drillHand.up} /></div>
+                </div>
+                <div>
+                  <div className="text-sm uppercase tracking-wide text-white/70 mb-2">You ({handTotal(drillHand.cards).soft ? "soft " : ""}{handTotal(drillHand.cards).total})</div>
+                  <div className="flex gap-2">{drillHand.cards.map((c, i) => (<Card key={c.id} card={c} index={i} />))}</div>
+                </div>
+              </div>
+              <div className="mt-4 flex flex-wrap items-center gap-2">
+                {["HIT", "STAND", "DOUBLE", "SPLIT", "SURRENDER"].filter((a) => offered[a]).map((a) => (
+                  <button key={a} onClick={() => answerDrill(a)} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 capitalize">{a.toLowerCase()}</button>
+                ))}
+              </div>
+              {timeLimit > 0 && <TimeBar key={decisionKey} seconds={timeLimit} />}
+              <div className="mt-3 min-h-[20px]">
+                {drillFeedback && (
+                  <div className={`text-sm flex items-center gap-2 ${drillFeedback.ok ? "text-emerald-300" : "text-rose-300"}`}>
+                    {drillFeedback.ok ? <CheckCircle2 size={16} /> : <XCircle size={16} />}
+                    {drillFeedback.text}
+                  </div>
+                )}
+              </div>
+              <div className="mt-3 pt-3 border-t border-white/10 flex flex-wrap gap-4 text-sm">
+                {DRILL_TYPES.map((t) => {
+                  const { seen, correct } = drillStats.byType[t];
+                  return (
+                    <div key={t}>
+                      <span className="text-white/60 capitalize">{t}:</span>{" "}
+                      <span className="font-semibold">{seen ? `${Math.round((correct / seen) * 100)}%` : "–"}</span>
+                      <span className="text-white/60"> ({correct}/{seen})</span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })()}
+
+        {/* Table area (kept mounted during drills so the round in progress waits) */}
+        <div className={`rounded-2xl border border-white/10 bg-emerald-900/20 p-4 sm:p-6 shadow-inner ${drill ? "hidden" : ""}`}>
+          {/* Shoe penetration, with the cut card marked */}
+          <div className="mb-4 flex items-center gap-3 text-xs text-white/70">
+            <span>Shoe</span>
+            <div className="relative flex-1 h-2 rounded-full bg-white/10 overflow-hidden" title={`${Math.round(shoeDealt(cardsLeft(game), rules) * 100)}% dealt • cut card at ${Math.round(rules.penetration * 100)}%`}>
+              <div className={`h-full ${cutCardReached(cardsLeft(game), rules) ? "bg-amber-400" : "bg-emerald-400/70"}`} style={{ width: `${Math.min(100, shoeDealt(cardsLeft(game), rules) * 100)}%` }} />
+              <div className="absolute top-0 h-full w-0.5 bg-rose-400" style={{ left: `${rules.penetration * 100}%` }} />
+            </div>
+            <span className="w-28 text-right">{phase === "shuffling" ? "Shuffling…" : cutCardReached(cardsLeft(game), rules) ? "Cut card out" : `${Math.round(shoeDealt(cardsLeft(game), rules) * 100)}% dealt`}</span>
+          </div>
           {/* Dealer row */}
           <div className="mb-6">
             <div className="text-sm uppercase tracking-wide text-white/70 mb-2">Dealer</div>
@@ -685,7 +1471,7 @@ export default function BlackjackTrainer() { // main component
           </div>
 
           {/* Player hands */}
-          <div className="space-y-4">
+          <div className={`grid gap-4 ${playerHands.length > 1 ? "sm:grid-cols-2" : ""}`}>
             {playerHands.map((h, idx) => {
               const { total } = handTotal(h.cards);
               const isActive = idx === active && phase === "player";
@@ -693,24 +1479,27 @@ export default function BlackjackTrainer() { // main component
               return (
                 <div key={idx} className={`rounded-xl p-3 border ${isActive ? "border-emerald-400/60 bg-emerald-500/10" : "border-white/10 bg-white/5"}`}>
                   <div className="flex items-center justify-between mb-2">
-                    <div className="text-sm uppercase tracking-wide text-white/70">Your Hand {playerHands.length > 1 ? `#${idx + 1}` : ""}</div>
+                    <div className="text-sm uppercase tracking-wide text-white/70">Your Hand {playerHands.length > 1 ? `#${h.seat}` : ""}{h.splitFrom && <span className="ml-2 normal-case text-xs text-white/50">split from #{h.splitFrom}</span>}</div>
                     <div className="text-sm">Bet: ${h.bet}</div>
                   </div>
-                  <div className="flex items-center gap-2">
+                  <div className="flex flex-wrap items-center gap-2">
                     {h.cards.map((c, i) => (<Card key={c.id} card={c} index={i} />))}
                     <div className="ml-3 text-white/90 font-medium">Total: {total}</div>
-                    {h.splitAces && <div className="ml-2 text-xs text-white/70">Split Aces (one card only)</div>}
+                    {h.splitAces && !rules.hitSplitAces && <div className="ml-2 text-xs text-white/70">Split Aces (one card only)</div>}
+                    {h.surrendered && <div className="ml-2 text-xs text-white/70">Surrendered</div>}
                   </div>
                   {isActive && (
                     <div className="mt-3">
                       <div className="flex flex-wrap items-center gap-2">
-                        <button onClick={doHit} disabled={!canHit(h)} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 disabled:opacity-50">Hit</button>
-                        <button onClick={doStand} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10">Stand</button>
-                        <button onClick={doDouble} disabled={!canDouble(h, isFirstAction)} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 disabled:opacity-50">Double</button>
-                        {showSplitButton && idx === active && (<button onClick={doSplit} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10">Split</button>)}
+                        <button onClick={() => act("HIT")} disabled={!actions.HIT} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 disabled:opacity-50">Hit</button>
+                        <button onClick={() => act("STAND")} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10">Stand</button>
+                        <button onClick={() => act("DOUBLE")} disabled={!actions.DOUBLE} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 disabled:opacity-50">Double</button>
+                        {actions.SPLIT && (<button onClick={() => act("SPLIT")} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10">Split</button>)}
+                        {actions.SURRENDER && (<button onClick={() => act("SURRENDER")} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10">Surrender</button>)}
                         <button onClick={showHint} className="px-3 py-2 rounded-xl bg-amber-500/20 hover:bg-amber-500/30 border border-amber-400/30 flex items-center gap-1"><Lightbulb size={16} /> Hint</button>
                         {isTenPair && idx === active && (<div className="text-xs text-white/70 ml-2">10-value pair: Split disabled (strategy = Stand)</div>)}
                       </div>
+                      {timeLimit > 0 && <TimeBar key={decisionKey} seconds={timeLimit} />}
                       {hint && (
                         <motion.div
                           initial={{ opacity: 0, y: -5 }}
@@ -722,6 +1511,16 @@ export default function BlackjackTrainer() { // main component
                             <span className="font-semibold">Optimal: {hint.action}</span>
                           </div>
                           <div className="text-sm text-amber-200/80 mt-1">{hint.reason}</div>
+                          {hint.evs && (
+                            <div className="mt-2 flex flex-wrap gap-2 text-xs">
+                              {Object.entries(hint.evs).filter(([, ev]) => ev !== null).map(([a, ev]) => (
+                                <div key={a} className={`px-2 py-1 rounded-lg border ${a === bestEvAction(hint.evs) ? "border-amber-300/60 bg-amber-400/20 text-amber-100" : "border-white/10 bg-black/20 text-white/80"}`}>
+                                  {a} <span className="font-mono">{formatEv(ev)}</span>
+                                </div>
+                              ))}
+                              <div className="px-1 py-1 text-amber-200/60">EV per $1 bet, from the unseen cards</div>
+                            </div>
+                          )}
                         </motion.div>
                       )}
                     </div>
@@ -731,6 +1530,45 @@ export default function BlackjackTrainer() { // main component
             })}
           </div>
 
+          {/* Count-check quiz */}
+          {phase === "quiz" && (
+            <div className="mt-4 p-3 rounded-xl border border-sky-400/30 bg-sky-500/10">
+              <div className="text-sm font-semibold mb-2">Count check — what's the count before this deal?</div>
+              <div className="flex flex-wrap items-center gap-3 text-sm">
+                <label className="flex items-center gap-2">
+                  <span>Running</span>
+                  <input type="number" step={1} className="w-20 bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={quizAnswer.rc} disabled={!!quizResult} onChange={(e) => setQuizAnswer((a) => ({ ...a, rc: e.target.value }))} />
+                </label>
+                <label className="flex items-center gap-2">
+                  <span>True</span>
+                  <input type="number" step={0.5} className="w-20 bg-slate-800 border border-white/10 rounded-lg px-2 py-1" value={quizAnswer.tc} disabled={!!quizResult} onChange={(e) => setQuizAnswer((a) => ({ ...a, tc: e.target.value }))} />
+                </label>
+                {!quizResult ? (
+                  <button onClick={submitQuiz} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10">Check</button>
+                ) : (
+                  <button onClick={() => startHand(true)} className="px-3 py-2 rounded-xl bg-emerald-500 hover:bg-emerald-600 border border-emerald-400 text-slate-900 font-semibold flex items-center gap-2"><Play size={16} /> Continue</button>
+                )}
+              </div>
+              {quizResult && (
+                <div className="mt-2 text-sm">
+                  <div className={quizResult.rcOk ? "text-emerald-300" : "text-rose-300"}>Running count {formatCount(quizResult.actual.rc)} — {quizResult.rcOk ? "correct" : "off"}</div>
+                  <div className={quizResult.tcOk ? "text-emerald-300" : "text-rose-300"}>True count {formatCount(quizResult.actual.tc)} — {quizResult.tcOk ? "correct" : "off"}</div>
+                  <div className="text-xs text-white/60 mt-1">Session: RC {countStats.rcCorrect}/{countStats.quizzes} • TC {countStats.tcCorrect}/{countStats.quizzes}</div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Insurance offer */}
+          {phase === "insurance" && playerHands[0] && (
+            <div className="mt-4 p-3 rounded-xl border border-amber-400/30 bg-amber-500/10 flex flex-wrap items-center gap-2">
+              <div className="text-sm mr-2">Dealer shows an Ace. {isBlackjack(playerHands[0].cards) ? "Take even money?" : `Insurance is half your bet: $${insuranceCost(playerHands[0].bet)}, paying 2:1.`}</div>
+              <button onClick={() => decideInsurance(true)} disabled={!isBlackjack(playerHands[0].cards) && bankroll < insuranceCost(playerHands[0].bet)} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 disabled:opacity-50">{isBlackjack(playerHands[0].cards) ? "Even Money" : "Insurance"}</button>
+              <button onClick={() => decideInsurance(false)} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10">{isBlackjack(playerHands[0].cards) ? "No Thanks" : "No Insurance"}</button>
+              {timeLimit > 0 && <div className="w-full"><TimeBar key={decisionKey} seconds={timeLimit} /></div>}
+            </div>
+          )}
+
           {/* Footer controls */}
           <div className="mt-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
             <div>
@@ -743,8 +1581,8 @@ export default function BlackjackTrainer() { // main component
               </div>
             </div>
             <div className="flex items-center gap-2">
-              <button onClick={() => setPhase("betting") || resetTable()} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 flex items-center gap-2"><RefreshCw size={18} /> Clear</button>
-              <button onClick={startHand} disabled={phase === "dealing" || bet <= 0 || bet > bankroll} className="px-3 py-2 rounded-xl bg-emerald-500 hover:bg-emerald-600 border border-emerald-400 text-slate-900 font-semibold flex items-center gap-2 disabled:opacity-50"><Play size={18} /> Deal</button>
+              <button onClick={resetTable} className="px-3 py-2 rounded-xl bg-white/10 hover:bg-white/15 border border-white/10 flex items-center gap-2"><RefreshCw size={18} /> Clear</button>
+              <button onClick={() => startHand()} disabled={phase === "dealing" || phase === "shuffling" || phase === "quiz" || bet <= 0 || bet > bankroll} className="px-3 py-2 rounded-xl bg-emerald-500 hover:bg-emerald-600 border border-emerald-400 text-slate-900 font-semibold flex items-center gap-2 disabled:opacity-50"><Play size={18} /> Deal</button>
             </div>
           </div>
 
@@ -758,7 +1596,7 @@ export default function BlackjackTrainer() { // main component
                 </motion.div>
               )}
             </AnimatePresence>
-            {message && (<div className="mt-2 text-white/90 whitespace-pre-wrap">{message}</div>)}
+            {(notice || game.message) && (<div className="mt-2 text-white/90 whitespace-pre-wrap">{notice || game.message}</div>)}
           </div>
         </div>
 
@@ -785,7 +1623,7 @@ export default function BlackjackTrainer() { // main component
           )}
         </AnimatePresence>
 
-        <p className="mt-6 text-xs text-white/60">Dealer stands on soft 17. No surrender. DAS allowed. Split Aces one card each. Blackjack pays 3:2. Split button hidden for ten-value pairs.</p>
+        <p className="mt-6 text-xs text-white/60">Dealer {rules.hitSoft17 ? "hits" : "stands on"} soft 17. {rules.surrender === "none" ? "No surrender" : `${rules.surrender === "late" ? "Late" : "Early"} surrender`}. {rules.das ? "DAS allowed" : "No DAS"}. Double on {rules.doubleOn === "any" ? "any two cards" : "9–11 only"}. Split up to {rules.maxHands} hands{rules.resplitAces ? " (aces too)" : ""}. {rules.hitSplitAces ? "Split Aces may be hit" : "Split Aces one card each"}. Blackjack pays {rules.bjPayout}. {rules.decks}-deck shoe, cut at {Math.round(rules.penetration * 100)}%. {rules.holeCard === "enhc" ? `No hole card (${rules.enhcLoss === "obo" ? "original bets only" : "all bets"} lost to dealer blackjack)` : "Dealer peeks for blackjack"}. Split button hidden for ten-value pairs.</p>
       </div>
     </div>
   );